@@ -0,0 +1,63 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const crypto = require('crypto')
+const Bitcoin = require('../../src/currency.js')
+
+const hash = (data) => crypto.createHash('sha256').update(data).digest('hex')
+
+/**
+ * @description Synthetic unspent outputs for benchmarks, in the format the sync manager adds to the unspent store.
+ * Outputs are p2wpkh, spread over addresses, with values from dust to 1 btc.
+ * @param {Number} count number of outputs
+ * @param {Object} opts options
+ * @param {Number} opts.spent share of the outputs that are spent by a vin entry. default 0.2
+ * @param {Number} opts.addresses number of addresses. default count / 10
+ * @param {Number} opts.height block height of the newest output. default 800000
+ * @returns {{ vout: Array, vin: Array }} outputs and the inputs spending some of them
+ */
+function utxoSet (count, opts = {}) {
+  const { spent = 0.2, addresses = Math.max(1, Math.floor(count / 10)), height = 800000 } = opts
+  const vout = []
+  const vin = []
+  for (let i = 0; i < count; i++) {
+    const addr = i % addresses
+    const out = {
+      txid: hash('tx' + i),
+      index: i % 4,
+      // @desc: values between 546 and 100000546 sats, mostly small
+      value: new Bitcoin(546 + Math.floor((((i * 7919) % 10007) / 10007) ** 3 * 100000000), 'base'),
+      address: 'bcrt1qsynthetic' + addr,
+      address_path: "m/84'/1'/0'/" + (addr % 2) + '/' + addr,
+      address_public_key: '02' + hash('key' + addr),
+      witness_hex: '0014' + hash('addr' + addr).slice(0, 40),
+      height: height - (i % 1000)
+    }
+    vout.push(out)
+    if (!spent || i % Math.round(1 / spent) !== 0) continue
+    vin.push({
+      txid: hash('spend' + i),
+      prev_txid: out.txid,
+      prev_index: out.index,
+      prev_tx_height: out.height,
+      address: out.address,
+      value: out.value,
+      height
+    })
+  }
+  return { vout, vin }
+}
+
+module.exports = utxoSet
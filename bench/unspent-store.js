@@ -0,0 +1,62 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+// Benchmark of the unspent store with a large synthetic utxo set.
+// Usage: node bench/unspent-store.js [number of outputs]
+const { WalletStoreHyperbee } = require('lib-wallet-store')
+const UnspentStore = require('../src/unspent-store.js')
+const Bitcoin = require('../src/currency.js')
+const utxoSet = require('./fixtures/utxo-set.js')
+
+const COUNT = +process.argv[2] || 50000
+
+async function time (name, fn) {
+  const start = performance.now()
+  const res = await fn()
+  console.log(`${name}: ${(performance.now() - start).toFixed(0)} ms`)
+  return res
+}
+
+async function main () {
+  const store = new WalletStoreHyperbee()
+  await store.init()
+  const { vout, vin } = utxoSet(COUNT)
+  console.log(`${vout.length} outputs, ${vin.length} spent`)
+
+  let unspent = new UnspentStore({ store, getBlockHeight: () => 800000 })
+  await unspent.init()
+  await time('add', async () => {
+    for (const utxo of vout) await unspent.add(utxo, 'out')
+    for (const utxo of vin) await unspent.add(utxo, 'in')
+  })
+  await time('process', () => unspent.process())
+
+  // @desc: a restart loads the stores into memory
+  unspent = new UnspentStore({ store, getBlockHeight: () => 800000 })
+  await time('init', () => unspent.init())
+
+  const amount = new Bitcoin(0.5, 'main')
+  const selected = await time('select and lock', () => unspent.getUtxoForAmount(amount, 'bnb', { feeRate: 5, baseVsize: 42, owner: 'bench' }))
+  console.log(`  ${selected.utxo.length} inputs`)
+  await time('select smallest-first', () => unspent.getUtxoForAmount(amount, 'smallest-first', { lock: false, feeRate: 5, baseVsize: 42 }))
+  await time('list', () => unspent.list())
+  await time('release and mark spent', () => unspent.release('bench', true))
+  await store.close()
+}
+
+main().catch((err) => {
+  console.error(err)
+  process.exit(1)
+})
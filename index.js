@@ -16,9 +16,13 @@ const BitcoinPay = require('./src/wallet-pay-btc.js')
 const FeeEstimate = require('./src/fee-estimate.js')
 const Provider = require('./src/provider.js')
 const KeyManager = require('./src/wallet-key-btc.js')
+const { FeeLimitError } = require('./src/fee-limit.js')
+const CoinSelect = require('./src/coin-select.js')
 module.exports = {
   BitcoinPay,
   FeeEstimate,
   Provider,
-  KeyManager
+  KeyManager,
+  FeeLimitError,
+  CoinSelect
 }
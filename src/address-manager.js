@@ -47,6 +47,16 @@ class Balance {
     this.txid[state].push([txid, amount])
   }
 
+  removeTxid (txid) {
+    for (const state in this.txid) {
+      this.txid[state] = this.txid[state].filter(([tx, amount]) => {
+        if (tx !== txid) return true
+        this.minusBalance(state, amount)
+        return false
+      })
+    }
+  }
+
   getTx (state, key) {
     return this.txid[state].filter(([tx]) => {
       return tx === key
@@ -87,6 +97,8 @@ class AddressManager {
     this.history = config.store.newInstance({ name: 'tx-history' })
     // @desc: Transactions that has been broadcasted
     this.outgoings = config.store.newInstance({ name: 'broadcasted' })
+    // @desc: Unsigned transactions waiting to be signed outside of the wallet
+    this.psbt = config.store.newInstance({ name: 'psbt' })
   }
 
   async init () {
@@ -114,6 +126,7 @@ class AddressManager {
     await this.store.clear()
     await this.history.clear()
     await this.outgoings.clear()
+    await this.psbt.clear()
   }
 
   async newAddress (addr) {
@@ -168,6 +181,40 @@ class AddressManager {
     await this.history.put(`tx:${tx.txid}`, tx.height)
   }
 
+  /**
+  * @desc mark a transaction in history as replaced. The replaced transaction is moved out of the block height index
+  * @param {String} txid replaced transaction id
+  * @param {String} newTxid replacement transaction id
+  */
+  async markReplaced (txid, newTxid) {
+    const height = await this.getHeight(txid)
+    const tx = await this.history.get(`i:${height}:${txid}`)
+    await this.history.delete(`i:${height}:${txid}`)
+    await this.history.delete(`tx:${txid}`)
+    if (!tx) return
+    tx.replaced_by = newTxid
+    await this.history.put(`replaced:${txid}`, tx)
+  }
+
+  /**
+  * @desc remove a transaction from history
+  * @param {String} txid transaction id
+  */
+  async removeTx (txid) {
+    const height = await this.getHeight(txid)
+    if (height === null || height === undefined) return
+    await this.history.delete(`i:${height}:${txid}`)
+    await this.history.delete(`tx:${txid}`)
+  }
+
+  /**
+  * @desc get a transaction that has been replaced
+  * @param {String} txid replaced transaction id
+  */
+  getReplacedTx (txid) {
+    return this.history.get(`replaced:${txid}`)
+  }
+
   getMempoolTx () {
     return this.history.get('i:' + 0)
   }
@@ -202,6 +249,30 @@ class AddressManager {
   getSentTx (txid) {
     return this.outgoings.get(txid)
   }
+
+  removeSentTx (txid) {
+    return this.outgoings.delete(txid)
+  }
+
+  addPsbt (tx) {
+    return this.psbt.put(tx.txid, tx)
+  }
+
+  getPsbt (txid) {
+    return this.psbt.get(txid)
+  }
+
+  removePsbt (txid) {
+    return this.psbt.delete(txid)
+  }
+
+  async listPsbt () {
+    const res = []
+    await this.psbt.entries(async (key, value) => {
+      if (value) res.push(value)
+    })
+    return res
+  }
 }
 
 module.exports = {
@@ -0,0 +1,130 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const bitcoin = require('bitcoinjs-lib')
+const TxSize = require('./tx-size.js')
+
+// @desc: wallet network names that are not keys of bitcoin.networks
+const NETWORK_ALIAS = {
+  mainnet: 'bitcoin',
+  signet: 'testnet'
+}
+
+/**
+ * @description Offline address validation and conversion between addresses and output scripts.
+ * Does not need an ECC library, so taproot addresses can be validated before keys are loaded.
+ */
+class BitcoinAddress {
+  /**
+  * @description bitcoinjs network parameters of a wallet network
+  * @param {String} network network name. bitcoin, mainnet, testnet, signet or regtest
+  * @returns {Object} network parameters
+  */
+  static network (network) {
+    const net = bitcoin.networks[NETWORK_ALIAS[network] || network]
+    if (!net) throw new Error('Invalid network ' + network)
+    return net
+  }
+
+  /**
+  * @description validate an address for a network
+  * @param {String} address bitcoin address
+  * @param {String} network network name
+  * @returns {{ address: String, type: String, script: Buffer }} type is p2pkh, p2sh, p2wpkh, p2wsh or p2tr
+  */
+  static parse (address, network) {
+    const net = BitcoinAddress.network(network)
+    if (typeof address !== 'string' || !address) throw new Error('Invalid address: ' + address)
+
+    const res = BitcoinAddress._decode(address, net)
+    if (res) return { address, ...res }
+
+    // Give a clear error for addresses of another network
+    for (const name of ['bitcoin', 'testnet', 'regtest']) {
+      const other = bitcoin.networks[name]
+      if (other === net) continue
+      if (BitcoinAddress._decode(address, other)) {
+        throw new Error('Address ' + address + ' is for network ' + name + ', wallet network is ' + network)
+      }
+    }
+    throw new Error('Invalid address: ' + address)
+  }
+
+  /**
+  * @description check if an address is valid for a network
+  * @param {String} address bitcoin address
+  * @param {String} network network name
+  * @returns {String|false} address type, or false if the address is not valid
+  */
+  static getType (address, network) {
+    try {
+      return BitcoinAddress.parse(address, network).type
+    } catch (err) {
+      return false
+    }
+  }
+
+  static _decode (address, net) {
+    let b58
+    try {
+      b58 = bitcoin.address.fromBase58Check(address)
+    } catch (err) {}
+    if (b58) {
+      if (b58.hash.length !== 20) return null
+      if (b58.version === net.pubKeyHash) return { type: 'p2pkh', script: bitcoin.payments.p2pkh({ hash: b58.hash }).output }
+      if (b58.version === net.scriptHash) return { type: 'p2sh', script: bitcoin.payments.p2sh({ hash: b58.hash }).output }
+      return null
+    }
+
+    let b32
+    try {
+      b32 = bitcoin.address.fromBech32(address)
+    } catch (err) {
+      return null
+    }
+    // Mixed case and unknown prefixes are rejected by the decoder, only the network needs checking
+    if (b32.prefix !== net.bech32) return null
+    const { version, data } = b32
+    if (version === 0 && data.length === 20) return { type: 'p2wpkh', script: bitcoin.payments.p2wpkh({ hash: data }).output }
+    if (version === 0 && data.length === 32) return { type: 'p2wsh', script: bitcoin.payments.p2wsh({ hash: data }).output }
+    if (version === 1 && data.length === 32) return { type: 'p2tr', script: Buffer.concat([Buffer.from([0x51, 0x20]), data]) }
+    return null
+  }
+
+  /**
+  * @description address of an output script
+  * @param {Buffer} script output script
+  * @param {String} network network name
+  * @returns {String|null} address, or null for scripts without an address like OP_RETURN
+  */
+  static fromScript (script, network) {
+    const net = BitcoinAddress.network(network)
+    switch (TxSize.scriptType(script)) {
+      case 'p2pkh':
+        return bitcoin.address.toBase58Check(script.subarray(3, 23), net.pubKeyHash)
+      case 'p2sh':
+        return bitcoin.address.toBase58Check(script.subarray(2, 22), net.scriptHash)
+      case 'p2wpkh':
+      case 'p2wsh':
+        return bitcoin.address.toBech32(script.subarray(2), 0, net.bech32)
+      case 'p2tr':
+        return bitcoin.address.toBech32(script.subarray(2), 1, net.bech32)
+      default:
+        return null
+    }
+  }
+}
+
+module.exports = BitcoinAddress
@@ -0,0 +1,238 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const { EventEmitter } = require('events')
+
+// @desc: node errors for transactions that are already known. Broadcast is treated as successful
+const ALREADY_KNOWN = ['txn-already-in-mempool', 'txn-already-known', 'already in block chain', 'Transaction already in block chain']
+// @desc: node errors for transactions with spent or unknown inputs. The tx itself may have been confirmed since it was checked
+const INPUTS_MISSING = ['bad-txns-inputs-missingorspent', 'missing-inputs', 'missingorspent']
+
+/**
+ * Persisted queue of signed transactions. A transaction stays in the outbox until it is confirmed,
+ * and is broadcast again when it is missing from the mempool.
+ * @extends EventEmitter
+ * @fires BroadcastOutbox#queued tx added to the outbox
+ * @fires BroadcastOutbox#broadcast tx accepted by the node
+ * @fires BroadcastOutbox#rejected tx rejected by the node. It is removed from the outbox
+ * @fires BroadcastOutbox#confirmed tx included in a block. It is removed from the outbox
+ */
+class BroadcastOutbox extends EventEmitter {
+  /**
+   * @param {Object} config - The configuration object.
+   * @param {Object} config.store - Store instance.
+   * @param {Object} config.provider - Electrum provider.
+   * @param {number} [config.retry_delay=30000] - Delay in ms before the first rebroadcast. Doubled after each failed attempt.
+   * @param {number} [config.max_retry_delay=3600000] - Max delay in ms between rebroadcasts.
+   * @param {number} [config.timeout=30000] - Time in ms to wait for a broadcast response.
+   */
+  constructor (config) {
+    super()
+    this.store = config.store
+    this.provider = config.provider
+    this._retryDelay = config.retry_delay || 30000
+    this._maxRetryDelay = config.max_retry_delay || 3600000
+    this._timeout = config.timeout || 30000
+    this._processing = false
+  }
+
+  async init () {
+    await this.store.init()
+  }
+
+  async close () {
+    await this.store.close()
+  }
+
+  /**
+  * @description add a signed transaction to the outbox and broadcast it.
+  * When the node can't be reached, the tx stays queued and is broadcast again later.
+  * @param {Object} tx signed transaction
+  * @param {String} tx.txid transaction id
+  * @param {String} tx.hex transaction hex
+  * @returns {Promise<String|Object>} txid, or an object with the error message when the node rejected the tx
+  */
+  async send ({ txid, hex }) {
+    const entry = {
+      txid,
+      hex,
+      status: 'queued',
+      attempts: 0,
+      next_retry: 0,
+      created_at: Date.now()
+    }
+    await this.store.put(txid, entry)
+    this.emit('queued', txid)
+    return this._broadcast(entry)
+  }
+
+  /**
+  * @description get a transaction in the outbox
+  * @param {String} txid transaction id
+  */
+  get (txid) {
+    return this.store.get(txid)
+  }
+
+  /**
+  * @description list transactions in the outbox
+  * @returns {Promise<Array>}
+  */
+  async list () {
+    const res = []
+    await this.store.entries((k, v) => {
+      res.push(v)
+    })
+    return res
+  }
+
+  /**
+  * @description stop tracking a transaction. Used when a transaction has been replaced
+  * @param {String} txid transaction id
+  */
+  remove (txid) {
+    return this.store.delete(txid)
+  }
+
+  /**
+  * @description check transactions in the outbox. Confirmed transactions are removed,
+  * transactions missing from the mempool are broadcast again when their retry delay has passed.
+  * Called on reconnect and on each new block.
+  */
+  async process () {
+    if (this._processing) return
+    this._processing = true
+    try {
+      const entries = await this.list()
+      for (const entry of entries) {
+        await this._check(entry)
+      }
+    } finally {
+      this._processing = false
+    }
+  }
+
+  async _check (entry) {
+    const tx = await this._lookup(entry.txid)
+    if (tx === undefined) return
+    if (tx) return this._known(entry, tx)
+
+    // Not in mempool or block. The tx was never relayed or has been evicted
+    if (entry.next_retry > Date.now()) return
+    await this._broadcast(entry)
+  }
+
+  /**
+  * @description get a transaction from the node
+  * @param {String} txid transaction id
+  * @returns {Promise<Object|null|undefined>} tx, null when the node does not know it, undefined when the node can't be reached
+  */
+  async _lookup (txid) {
+    try {
+      return await this._withTimeout(this.provider.rpc('blockchain.transaction.get', [txid, true]))
+    } catch (err) {
+      // RPC errors mean the node does not know the tx. Anything else is a connection problem
+      return BroadcastOutbox._isRpcError(err) ? null : undefined
+    }
+  }
+
+  // @desc: the node knows the tx. Confirmed transactions are removed
+  async _known (entry, tx) {
+    if (tx.confirmations > 0) {
+      await this.remove(entry.txid)
+      this.emit('confirmed', entry.txid, tx.confirmations)
+      return entry.txid
+    }
+    if (entry.status !== 'broadcast') {
+      entry.status = 'broadcast'
+      await this.store.put(entry.txid, entry)
+      this.emit('broadcast', entry.txid)
+    }
+    return entry.txid
+  }
+
+  async _broadcast (entry) {
+    entry.attempts++
+    let res
+    try {
+      res = await this._withTimeout(this.provider.broadcastTransaction(entry.hex))
+    } catch (err) {
+      if (BroadcastOutbox._isRpcError(err) && !BroadcastOutbox._isKnown(err.message)) {
+        return this._reject(entry, err.message)
+      }
+      if (!BroadcastOutbox._isRpcError(err)) {
+        // Connection failed or timed out. Keep the tx queued and retry later
+        return this._retry(entry, err.message)
+      }
+    }
+
+    if (res?.message && !BroadcastOutbox._isKnown(res.message)) {
+      return this._reject(entry, res.message)
+    }
+
+    entry.status = 'broadcast'
+    entry.last_error = null
+    entry.next_retry = Date.now() + this._backoff(entry.attempts)
+    await this.store.put(entry.txid, entry)
+    this.emit('broadcast', entry.txid)
+    return entry.txid
+  }
+
+  async _retry (entry, message) {
+    entry.status = 'queued'
+    entry.last_error = message
+    entry.next_retry = Date.now() + this._backoff(entry.attempts)
+    await this.store.put(entry.txid, entry)
+    return entry.txid
+  }
+
+  async _reject (entry, message) {
+    if (BroadcastOutbox._isInputsMissing(message)) {
+      // The inputs are spent by the tx itself when it was confirmed after the last check
+      const tx = await this._lookup(entry.txid)
+      if (tx === undefined) return this._retry(entry, message)
+      if (tx) return this._known(entry, tx)
+    }
+    await this.remove(entry.txid)
+    this.emit('rejected', entry.txid, message)
+    return { message }
+  }
+
+  _backoff (attempts) {
+    return Math.min(this._retryDelay * Math.pow(2, Math.max(attempts - 1, 0)), this._maxRetryDelay)
+  }
+
+  _withTimeout (promise) {
+    let timer
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('request timed out')), this._timeout)
+    })
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+  }
+
+  static _isRpcError (err) {
+    return err?.message?.startsWith('RPC Error')
+  }
+
+  static _isKnown (message) {
+    return ALREADY_KNOWN.some((msg) => message.includes(msg))
+  }
+
+  static _isInputsMissing (message) {
+    return INPUTS_MISSING.some((msg) => message.includes(msg))
+  }
+}
+
+module.exports = BroadcastOutbox
@@ -0,0 +1,299 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const TxSize = require('./tx-size.js')
+
+// @desc: max number of branches explored by branch and bound
+const BNB_TRIES = 100000
+// @desc: number of random subsets tried by the knapsack solver
+const KNAPSACK_ITERATIONS = 1000
+// @desc: max number of inputs spent by the consolidation strategy
+const CONSOLIDATE_INPUTS = 50
+// @desc: coin selection strategies. name -> selector
+const STRATEGIES = new Map()
+
+/**
+ * @description Fee aware coin selection, based on the coin selection of bitcoin core.
+ * Outputs are compared by effective value: the value minus the fee to spend the output at the target fee rate.
+ * The default strategy, bnb, uses branch and bound to look for an input set that pays for the amount and fee without change,
+ * and the knapsack solver when there is no such input set.
+ */
+class CoinSelect {
+  static DEFAULT_STRATEGY = 'bnb'
+
+  /**
+  * @description add a coin selection strategy.
+  * The selector is called with the spendable outputs and the options of select,
+  * and returns the outputs to spend or null when they can't pay for the target.
+  * @param {String} name strategy name
+  * @param {function(Array<{utxo: Object, effective: Number, waste: Number}>, Object): Array|null} selector
+  * called with outputs by effective value, and options with target set to the effective value to reach.
+  */
+  static register (name, selector) {
+    if (typeof selector !== 'function') throw new Error('Coin selection strategy must be a function: ' + name)
+    STRATEGIES.set(name, selector)
+  }
+
+  static has (name) {
+    return STRATEGIES.has(name)
+  }
+
+  static strategies () {
+    return [...STRATEGIES.keys()]
+  }
+
+  /**
+  * @description select outputs that pay for an amount and the fee of the transaction
+  * @param {Array} utxo spendable outputs
+  * @param {Object} opts options
+  * @param {Number} opts.target amount sent in sats
+  * @param {Number} opts.feeRate fee rate in sat/vbyte
+  * @param {Number} opts.baseVsize virtual size of the transaction without inputs and change
+  * @param {Number} opts.costOfChange cost of creating and later spending a change output in sats
+  * @param {Number} opts.minChange smallest change output worth creating, including its fee, in sats
+  * @param {Number} opts.longTermFeeRate fee rate in sat/vbyte expected for spending outputs later
+  * @param {String} strategy name of the coin selection strategy
+  * @returns {Array|null} selected outputs. null when the outputs can't pay for amount + fee
+  */
+  static select (utxo, opts, strategy = CoinSelect.DEFAULT_STRATEGY) {
+    const selector = STRATEGIES.get(strategy)
+    if (!selector) throw new Error('Unknown coin selection strategy: ' + strategy)
+    const { target, feeRate, baseVsize = 0, costOfChange = 0, minChange = 0, longTermFeeRate = 1 } = opts
+    const coins = CoinSelect.effectiveValues(utxo, feeRate, longTermFeeRate)
+    const effTarget = target + Math.ceil(feeRate * baseVsize)
+
+    const res = selector(coins, { ...opts, target: effTarget, costOfChange, minChange })
+    return res && res.length ? res.map(({ utxo }) => utxo) : null
+  }
+
+  /**
+  * @description branch and bound, with the knapsack solver as fallback
+  */
+  static bnb (coins, { target, costOfChange, minChange }) {
+    return CoinSelect.branchAndBound(coins, target, costOfChange) || CoinSelect.knapsack(coins, target, minChange)
+  }
+
+  static largestFirst (coins, { target }) {
+    return CoinSelect._accumulate([...coins].sort((a, b) => b.effective - a.effective), target)
+  }
+
+  static smallestFirst (coins, { target }) {
+    return CoinSelect._accumulate([...coins].sort((a, b) => a.effective - b.effective), target)
+  }
+
+  static oldestFirst (coins, { target }) {
+    // unconfirmed outputs have height 0 and are the newest
+    const age = ({ utxo }) => utxo.height || Infinity
+    return CoinSelect._accumulate([...coins].sort((a, b) => age(a) - age(b)), target)
+  }
+
+  /**
+  * @description spend outputs of as few addresses as possible, and all outputs of an address together,
+  * so the transaction links fewer addresses of the wallet
+  */
+  static singleAddress (coins, { target }) {
+    const groups = new Map()
+    coins.forEach((coin) => {
+      const group = groups.get(coin.utxo.address) || { coins: [], effective: 0 }
+      group.coins.push(coin)
+      group.effective += coin.effective
+      groups.set(coin.utxo.address, group)
+    })
+    const sorted = [...groups.values()].sort((a, b) => a.effective - b.effective)
+    const single = sorted.find((group) => group.effective >= target)
+    if (single) return single.coins
+    const res = CoinSelect._accumulate(sorted.reverse(), target)
+    return res ? res.flatMap((group) => group.coins) : null
+  }
+
+  /**
+  * @description spend the smallest outputs, up to 50 inputs, to reduce the number of outputs in the wallet
+  */
+  static consolidation (coins, { target }) {
+    const sorted = [...coins].sort((a, b) => a.effective - b.effective)
+    const res = CoinSelect._accumulate(sorted, target)
+    if (!res || res.length >= CONSOLIDATE_INPUTS) return res
+    return sorted.slice(0, CONSOLIDATE_INPUTS)
+  }
+
+  static _accumulate (sorted, target) {
+    const res = []
+    let total = 0
+    for (const item of sorted) {
+      if (total >= target) break
+      res.push(item)
+      total += item.effective
+    }
+    return total >= target ? res : null
+  }
+
+  /**
+  * @description effective value of outputs at a fee rate. Outputs that cost more to spend than they are worth are left out
+  * @param {Array} utxo spendable outputs
+  * @param {Number} feeRate fee rate in sat/vbyte
+  * @param {Number} longTermFeeRate fee rate in sat/vbyte expected for spending outputs later
+  * @returns {Array<{utxo: Object, effective: Number, waste: Number}>} outputs with effective value
+  */
+  static effectiveValues (utxo, feeRate, longTermFeeRate) {
+    return utxo.reduce((coins, u) => {
+      const type = TxSize.scriptType(Buffer.from(u.witness_hex, 'hex'))
+      if (!TxSize.INPUT_TYPES.includes(type)) return coins
+      const vSize = TxSize.inputVsize(type)
+      const effective = +u.value.toBaseUnit() - Math.ceil(feeRate * vSize)
+      if (effective <= 0) return coins
+      // @desc: extra fee paid for spending the output now instead of at the long term fee rate
+      coins.push({ utxo: u, effective, waste: Math.ceil(feeRate * vSize) - Math.ceil(longTermFeeRate * vSize) })
+      return coins
+    }, [])
+  }
+
+  /**
+  * @description depth first search for the input set with the least waste
+  * that has an effective value between target and target + costOfChange
+  * @param {Array} coins outputs with effective value
+  * @param {Number} target effective value to reach
+  * @param {Number} costOfChange max excess that is added to the fee instead of creating change
+  * @returns {Array|null} selected coins
+  */
+  static branchAndBound (coins, target, costOfChange) {
+    coins = [...coins].sort((a, b) => b.effective - a.effective)
+    let available = coins.reduce((sum, { effective }) => sum + effective, 0)
+    if (available < target || coins.length === 0) return null
+    // with a high fee rate, spending fewer inputs is better
+    const highFee = coins[0].waste > 0
+
+    const selection = []
+    let value = 0
+    let waste = 0
+    let best = null
+    let bestWaste = Infinity
+    for (let tries = 0, i = 0; tries < BNB_TRIES; tries++, i++) {
+      let backtrack = false
+      if (value + available < target || value > target + costOfChange || (waste > bestWaste && highFee)) {
+        backtrack = true
+      } else if (value >= target) {
+        // excess goes to the fee
+        if (waste + value - target <= bestWaste) {
+          best = [...selection]
+          bestWaste = waste + value - target
+        }
+        backtrack = true
+      }
+
+      if (backtrack) {
+        if (selection.length === 0) break
+        // add skipped coins back before trying the branch without the last selected coin
+        for (i--; i > selection.at(-1); i--) available += coins[i].effective
+        value -= coins[i].effective
+        waste -= coins[i].waste
+        selection.pop()
+        continue
+      }
+
+      const coin = coins[i]
+      available -= coin.effective
+      // skip a coin equal to the previous one when the previous one was left out. that branch was already searched
+      const prev = coins[i - 1]
+      if (selection.length === 0 || selection.at(-1) === i - 1 || coin.effective !== prev.effective || coin.waste !== prev.waste) {
+        selection.push(i)
+        value += coin.effective
+        waste += coin.waste
+      }
+    }
+    return best ? best.map((i) => coins[i]) : null
+  }
+
+  /**
+  * @description knapsack solver. Looks for the input set closest to target + minChange,
+  * and compares it to the smallest coin that covers it alone
+  * @param {Array} coins outputs with effective value
+  * @param {Number} target effective value to reach
+  * @param {Number} minChange smallest change output worth creating
+  * @returns {Array|null} selected coins
+  */
+  static knapsack (coins, target, minChange) {
+    const applicable = []
+    let lowestLarger = null
+    let totalLower = 0
+    for (const coin of CoinSelect._shuffle(coins)) {
+      if (coin.effective === target) return [coin]
+      if (coin.effective < target + minChange) {
+        applicable.push(coin)
+        totalLower += coin.effective
+      } else if (!lowestLarger || coin.effective < lowestLarger.effective) {
+        lowestLarger = coin
+      }
+    }
+
+    if (totalLower === target) return applicable
+    if (totalLower < target) return lowestLarger ? [lowestLarger] : null
+
+    applicable.sort((a, b) => b.effective - a.effective)
+    let best = CoinSelect._bestSubset(applicable, totalLower, target)
+    if (best.value !== target && totalLower >= target + minChange) {
+      best = CoinSelect._bestSubset(applicable, totalLower, target + minChange)
+    }
+
+    // a single coin is better than a set that leaves change too small to create
+    if (lowestLarger && ((best.value !== target && best.value < target + minChange) || lowestLarger.effective <= best.value)) {
+      return [lowestLarger]
+    }
+    return applicable.filter((coin, i) => best.included[i])
+  }
+
+  static _bestSubset (coins, totalLower, target) {
+    let best = { included: coins.map(() => true), value: totalLower }
+    for (let n = 0; n < KNAPSACK_ITERATIONS && best.value !== target; n++) {
+      const included = coins.map(() => false)
+      let total = 0
+      let reached = false
+      // first pass includes coins at random, second pass fills up with the rest
+      for (let pass = 0; pass < 2 && !reached; pass++) {
+        for (let i = 0; i < coins.length; i++) {
+          if (pass === 0 ? Math.random() >= 0.5 : included[i]) continue
+          total += coins[i].effective
+          included[i] = true
+          if (total >= target) {
+            reached = true
+            if (total < best.value) best = { included: [...included], value: total }
+            total -= coins[i].effective
+            included[i] = false
+          }
+        }
+      }
+    }
+    return best
+  }
+
+  static _shuffle (list) {
+    const res = [...list]
+    for (let i = res.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      const tmp = res[i]
+      res[i] = res[j]
+      res[j] = tmp
+    }
+    return res
+  }
+}
+
+CoinSelect.register('bnb', CoinSelect.bnb)
+CoinSelect.register('largest-first', CoinSelect.largestFirst)
+CoinSelect.register('smallest-first', CoinSelect.smallestFirst)
+CoinSelect.register('oldest-first', CoinSelect.oldestFirst)
+CoinSelect.register('single-address', CoinSelect.singleAddress)
+CoinSelect.register('consolidation', CoinSelect.consolidation)
+
+module.exports = CoinSelect
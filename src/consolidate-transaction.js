@@ -0,0 +1,129 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const Transaction = require('./transaction.js')
+const Bitcoin = require('./currency.js')
+const CoinSelect = require('./coin-select.js')
+
+// @desc: default max number of coins merged in one transaction
+const MAX_INPUTS = 100
+// @desc: default max fee as a percentage of the consolidated value
+const MAX_FEE_PERCENT = 5
+
+/**
+ * @description Consolidation transaction.
+ * Merges many small coins of the wallet into one output, so later payments need fewer inputs.
+ * Best sent when fee rates are low.
+ */
+class ConsolidateTransaction extends Transaction {
+  /**
+  * @description merge small coins into one internal output, or preview the merge with dryRun
+  * @param {Object} opts options
+  * @param {Number} opts.feeRate fee rate in sat/vbyte
+  * @param {Number} opts.maxInputs max number of coins to merge. default 100
+  * @param {Number} opts.minValue coins below this value in sats are left out. Coins that cost more to spend than they are worth are always left out
+  * @param {String} opts.address destination address. default is a new internal address
+  * @param {Number} opts.maxFeePercent max fee as a percentage of the consolidated value. default 5
+  * @param {boolean} opts.dryRun return the selected coins, fee and amount without sending
+  * @returns {Promise<Object>} preview for dryRun, otherwise the sent transaction
+  */
+  async consolidate (opts = {}) {
+    if (opts.dryRun) return this._previewConsolidation(opts)
+    const tx = await this._createConsolidation(opts)
+    return this._broadcast(tx)
+  }
+
+  async _previewConsolidation (opts) {
+    const { feeRate, address, ignoreFeeLimits } = opts
+    this._checkFeeRate(feeRate, ignoreFeeLimits)
+    if (address) this._outputScript(address)
+
+    const { utxo } = await this._syncManager.utxoForSweep(null, { lock: false })
+    const plan = this._consolidationPlan(this._consolidationInputs(utxo, opts), opts)
+    const res = Transaction._quoteResult(plan.utxo, plan.vSize, plan.fee, 0, new Bitcoin(plan.amount, 'base'))
+    res.feePercent = plan.feePercent
+    res.maxFeePercent = plan.maxFeePercent
+    res.exceedsMaxFeePercent = plan.exceedsMaxFeePercent
+    // false when consolidate would refuse to send
+    res.allowed = !plan.exceedsMaxFeePercent
+    return res
+  }
+
+  /**
+  * @description size, fee and amount of merging coins. Fails like the sweep tx when the fee is above the fee limits,
+  * or the amount is not above the dust limit
+  */
+  _consolidationPlan (utxo, opts) {
+    const { feeRate, address, ignoreFeeLimits, maxFeePercent = MAX_FEE_PERCENT } = opts
+    const total = utxo.reduce((sum, u) => sum + +u.value.toBaseUnit(), 0)
+    // A new internal address has the wallet address type
+    const vSize = address ? this._estimateVsize(utxo, [address], null, false) : this._estimateVsize(utxo, [], null, true)
+    const fee = Math.ceil(feeRate * vSize)
+    // The fee can be more than the coins are worth
+    const amount = total - fee
+    if (amount <= Transaction.DUST_LIMIT) throw new Error('send amount must be bigger than dust limit ' + Transaction.DUST_LIMIT + ' got: ' + amount)
+    if (!ignoreFeeLimits) this._feeLimit.check({ fee, amount: address ? amount : 0 })
+    const feePercent = +(fee / total * 100).toFixed(2)
+    return { utxo, vSize, fee, amount, feePercent, maxFeePercent, exceedsMaxFeePercent: feePercent > maxFeePercent }
+  }
+
+  /**
+  * @description smallest coins first. Coins worth less than the fee to spend them are left out
+  */
+  _consolidationInputs (utxo, opts) {
+    const { feeRate, maxInputs = MAX_INPUTS, minValue = 0 } = opts
+    const selected = CoinSelect.effectiveValues(utxo, feeRate, feeRate)
+      .filter(({ utxo }) => +utxo.value.toBaseUnit() >= minValue)
+      .sort((a, b) => a.effective - b.effective)
+      .slice(0, maxInputs)
+      .map(({ utxo }) => utxo)
+    if (selected.length < 2) throw new Error('Not enough coins to consolidate: ' + selected.length)
+    return selected
+  }
+
+  async _createConsolidation (opts) {
+    const { feeRate, address, ignoreFeeLimits } = opts
+    this._checkFeeRate(feeRate, ignoreFeeLimits)
+    if (address) this._outputScript(address)
+
+    let plan
+    // Coins are picked and locked in one step, so another transaction can't take them in between
+    const utxoSet = await this._syncManager.utxoForSweep(null, {
+      owner: this._reservation,
+      select: (utxo) => {
+        plan = this._consolidationPlan(this._consolidationInputs(utxo, opts), opts)
+        if (plan.exceedsMaxFeePercent) {
+          throw new Error('Consolidation fee is ' + plan.feePercent + '% of the consolidated value. max: ' + plan.maxFeePercent + '%')
+        }
+        return plan.utxo
+      }
+    })
+
+    let finalTx
+    try {
+      const to = address || await this._getInternalAddress()
+      finalTx = this._generateSweepTx(utxoSet, plan.fee, to, { ignoreFeeLimits })
+    } catch (err) {
+      await this._releaseReservation()
+      if (err instanceof Transaction.FeeLimitError) throw err
+      throw new Error('Failed to create consolidation tx: ' + err.message)
+    }
+
+    await this._syncManager.addSentTx(this.getLastAttempt())
+    return finalTx
+  }
+}
+
+module.exports = ConsolidateTransaction
@@ -0,0 +1,73 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const Transaction = require('./transaction.js')
+
+/**
+ * @description Child-pays-for-parent transaction.
+ * Spends the wallet outputs of an unconfirmed parent transaction into a new internal address,
+ * paying enough fee for the parent + child package to reach a target fee rate.
+ */
+class CpfpTransaction extends Transaction {
+  /**
+  * @description create and broadcast a child transaction for an unconfirmed parent
+  * @param {String} txid parent transaction id
+  * @param {Number} fee target package fee rate in sat/vbyte
+  * @param {Object} opts options
+  * @param {boolean} opts.ignoreFeeLimits skip the fee limits
+  */
+  async accelerate (txid, fee, opts = {}) {
+    const tx = await this._createChild(txid, fee, opts)
+    return this._broadcast(tx)
+  }
+
+  async _createChild (txid, fee, opts = {}) {
+    const { ignoreFeeLimits } = opts
+    this._checkFeeRate(fee, ignoreFeeLimits)
+
+    const height = await this._syncManager.getTxBlockHeight(txid)
+    if (height === null || height === undefined) throw new Error('Transaction not found: ' + txid)
+    if (height > 0) throw new Error('Transaction already confirmed: ' + txid)
+
+    const parent = await this.provider.getTransaction(txid, { cache: false })
+    if (parent.height > 0) throw new Error('Transaction already confirmed: ' + txid)
+    const parentFee = +parent.fee.toBaseUnit()
+    if (parentFee >= fee * parent.vsize) throw new Error('Parent fee rate is already above target fee rate')
+
+    const address = await this._getInternalAddress()
+    const utxoSet = await this._syncManager.utxoForTx(txid, { owner: this._reservation })
+
+    let finalTx
+    try {
+      // Pay for the size of parent + child at the target fee rate
+      const childSize = this._estimateVsize(utxoSet.utxo, [address], null, false)
+      const childFee = Math.ceil(fee * (parent.vsize + childSize) - parentFee)
+      // The child pays for the parent, so only the fee in sats is capped
+      finalTx = this._generateSweepTx(utxoSet, childFee, address, { ignoreFeeLimits })
+    } catch (err) {
+      await this._releaseReservation()
+      if (err instanceof Transaction.FeeLimitError) throw err
+      throw new Error('Failed to create child tx: ' + err.message)
+    }
+
+    const attempt = this.getLastAttempt()
+    attempt.parent = txid
+    attempt.packageFeeRate = (parentFee + attempt.fee) / (parent.vsize + attempt.vSize)
+    await this._syncManager.addSentTx(attempt)
+    return finalTx
+  }
+}
+
+module.exports = CpfpTransaction
@@ -0,0 +1,93 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+// @desc: default max fee rate in sat/vbyte
+const MAX_FEE_RATE = 100000
+// @desc: default max fee of a transaction in sats. Same as the bitcoin core maxtxfee default of 0.1 btc
+const MAX_FEE = 10000000
+
+// @desc: number each limit is checked against, for error messages
+const CHECKED = {
+  max_fee_rate: (value) => `requested fee rate: ${value} sat/vbyte`,
+  max_fee: (value) => `total fee: ${value} sats`,
+  max_fee_percent: (value) => `total fee: ${value}% of the amount sent`
+}
+
+/**
+ * @description Error for a transaction fee above one of the wallet fee limits.
+ * limit is the name of the limit: max_fee_rate, max_fee or max_fee_percent. value is the number that was checked
+ */
+class FeeLimitError extends Error {
+  constructor (limit, value, max) {
+    super(`Fee is above ${limit}. ${limit}: ${max}, ${CHECKED[limit](value)}`)
+    this.name = 'FeeLimitError'
+    this.limit = limit
+    this.value = value
+    this.max = max
+  }
+}
+
+/**
+ * @description Safety caps for the fee of outgoing transactions.
+ * max_fee_rate caps the fee rate requested by the caller. max_fee and max_fee_percent cap the total fee,
+ * which includes change that the change policy adds to the fee.
+ * A limit set to null is not checked.
+ */
+class FeeLimit {
+  static FeeLimitError = FeeLimitError
+
+  /**
+  * @param {Object} config fee limits
+  * @param {Number?} config.max_fee_rate max fee rate in sat/vbyte
+  * @param {Number?} config.max_fee max fee of a transaction in sats
+  * @param {Number?} config.max_fee_percent max fee as a percentage of the amount sent to recipients
+  */
+  constructor (config = {}) {
+    this.maxFeeRate = config.max_fee_rate === undefined ? MAX_FEE_RATE : config.max_fee_rate
+    this.maxFee = config.max_fee === undefined ? MAX_FEE : config.max_fee
+    this.maxFeePercent = config.max_fee_percent === undefined ? null : config.max_fee_percent
+  }
+
+  /**
+  * @description check a fee rate against max_fee_rate
+  * @param {Number} feeRate fee rate in sat/vbyte
+  * @throws {FeeLimitError}
+  */
+  checkRate (feeRate) {
+    if (this.maxFeeRate !== null && feeRate > this.maxFeeRate) {
+      throw new FeeLimitError('max_fee_rate', feeRate, this.maxFeeRate)
+    }
+  }
+
+  /**
+  * @description check the total fee of a transaction against max_fee and max_fee_percent. The fee rate is checked with checkRate
+  * @param {Object} tx transaction fee details
+  * @param {Number} tx.fee total fee in sats, including change added to the fee
+  * @param {Number} tx.amount amount sent to recipients in sats. Transactions to the wallet send 0 and skip max_fee_percent
+  * @throws {FeeLimitError}
+  */
+  check ({ fee, amount }) {
+    if (this.maxFee !== null && fee > this.maxFee) {
+      throw new FeeLimitError('max_fee', fee, this.maxFee)
+    }
+    if (this.maxFeePercent !== null && amount > 0) {
+      const percent = fee / amount * 100
+      if (percent > this.maxFeePercent) throw new FeeLimitError('max_fee_percent', +percent.toFixed(2), this.maxFeePercent)
+    }
+  }
+}
+
+module.exports = FeeLimit
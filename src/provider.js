@@ -17,6 +17,7 @@ const Bitcoin = require('./currency')
 const { ConnectionManager } = require('lib-wallet')
 const { STATUS } = ConnectionManager.ConnectionStatus
 const net = require('net')
+const bitcoin = require('bitcoinjs-lib')
 
 function getBlockReward (height) {
   const initialReward = Bitcoin.BN(50).times(100000000) // 50 BTC in satoshis
@@ -152,6 +153,7 @@ class Electrum extends ConnectionManager {
       this.setStatus(STATUS.CONNECTING)
       this._client = this._net.createConnection(this.port, this.host, () => {
         this.setStatus(STATUS.CONNECTED)
+        this.emit('connected')
         resolve()
       })
       this._client.on('data', (data) => {
@@ -302,17 +304,21 @@ class Electrum extends ConnectionManager {
       out: [],
       in: [],
       unconfirmed_inputs: [],
+      op_return: [],
       std_out: [],
       std_in: []
     }
 
     const tx = await this._txGet(txid, opts)
     data.height = tx.height
+    data.vsize = tx.vsize
 
     let totalOut = new Bitcoin(0, 'main')
     data.out = tx.vout.map((vout) => {
       const newvout = this._processTxVout(vout, tx)
       if (!newvout || !newvout.address) {
+        const payload = this._getOpReturn(vout.scriptPubKey)
+        if (payload) data.op_return.push(payload)
         data.std_out.push(false)
         return null
       }
@@ -364,6 +370,18 @@ class Electrum extends ConnectionManager {
     return null
   }
 
+  /**
+  * @description get data of an OP_RETURN output
+  * @param {Object} scriptPubKey
+  * @returns {String|null} data as hex
+  */
+  _getOpReturn (scriptPubKey) {
+    if (scriptPubKey?.type !== 'nulldata' || !scriptPubKey.hex) return null
+    const chunks = bitcoin.script.decompile(Buffer.from(scriptPubKey.hex, 'hex'))
+    if (!chunks) return null
+    return Buffer.concat(chunks.filter((chunk) => Buffer.isBuffer(chunk))).toString('hex')
+  }
+
   async subscribeToBlocks () {
     const height = await this._makeRequest('blockchain.headers.subscribe', [])
     this.block_height = height.height
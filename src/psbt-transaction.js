@@ -0,0 +1,123 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const bitcoin = require('bitcoinjs-lib')
+const Bitcoin = require('./currency.js')
+const Transaction = require('./transaction.js')
+const BitcoinAddress = require('./bitcoin-address.js')
+const { WalletPay } = require('lib-wallet')
+
+/**
+ * @description Transactions that are signed outside of the wallet (BIP174).
+ * The wallet exports an unsigned PSBT and keeps its coins locked until a signed PSBT is broadcasted.
+ */
+class PsbtTransaction extends Transaction {
+  /**
+  * @description create an unsigned psbt. Selected outputs stay locked for the psbt
+  * @param {Object} outgoing transaction details. same as Transaction.send
+  * @returns {Promise<String>} base64 psbt
+  */
+  async createPsbt (outgoing) {
+    if (outgoing.sendAll) throw new Error('sendAll is not supported for psbt')
+    await this._createTransaction(outgoing, false)
+    const attempt = this.getLastAttempt()
+    await this._syncManager.holdUtxo(this._reservation, attempt.txid)
+    await this._syncManager.addPsbt(attempt)
+    return attempt.psbt
+  }
+
+  /**
+  * @description finalize a signed psbt created by the wallet
+  * @param {String} psbt base64 psbt
+  * @returns {Promise<Object>} txid and raw hex of the final transaction
+  */
+  async finalizePsbt (psbt) {
+    await this._finalizePsbt(psbt)
+    const { txid, hex } = this.getLastAttempt()
+    return { txid, hex }
+  }
+
+  /**
+  * @description finalize and broadcast a signed psbt created by the wallet
+  * @param {String} psbt base64 psbt
+  */
+  async broadcastPsbt (psbt) {
+    const tx = await this._finalizePsbt(psbt)
+    await this._syncManager.addSentTx(this.getLastAttempt())
+    return this._broadcast(tx)
+  }
+
+  async _finalizePsbt (base64) {
+    const psbt = bitcoin.Psbt.fromBase64(base64, { network: bitcoin.networks[this.network] })
+    const txid = Transaction.psbtTxid(psbt)
+    const pending = await this._syncManager.getPsbt(txid)
+    if (!pending) throw new Error('Unknown psbt: ' + txid)
+
+    // The outputs must still be locked for this psbt. The hold may have expired, or a lock was released
+    const locked = this._syncManager.getHeldUtxo(txid)
+    const points = psbt.txInputs.map(({ hash, index }) => Buffer.from(hash).reverse().toString('hex') + ':' + index)
+    if (points.length !== locked.length || points.some((pt) => !locked.includes(pt))) {
+      await this._syncManager.prunePsbt()
+      throw new Error('Psbt spends outputs that are not locked for it: ' + txid)
+    }
+
+    psbt.data.inputs.forEach((input, index) => {
+      if (input.finalScriptWitness || input.finalScriptSig) return
+      psbt.finalizeInput(index)
+    })
+    const tx = psbt.extractTransaction()
+
+    const sentTx = {
+      ...pending,
+      txid,
+      feeRate: psbt.getFeeRate(),
+      vSize: tx.virtualSize(),
+      hex: tx.toHex(),
+      vout: tx.outs
+    }
+    delete sentTx.psbt
+    this._txData.push(sentTx)
+
+    // OP_RETURN outputs have no address
+    const outputs = psbt.txOutputs.map(({ script, value }) => {
+      return { address: BitcoinAddress.fromScript(script, this.network), value }
+    }).filter(({ address }) => address)
+    return new WalletPay.TxEntry({
+      txid,
+      to_address: outputs.map(({ address }) => address),
+      to_address_meta: outputs.map(({ address, value }) => {
+        return {
+          amount: new Bitcoin(value, 'base'), own_address: address === pending.changeAddress.address
+        }
+      }),
+      fee: sentTx.fee,
+      fee_rate: sentTx.feeRate,
+      amount: new Bitcoin(pending.recipients.reduce((sum, { value }) => sum + value, 0), 'base'),
+      from_address: pending.utxo.map(({ address }) => address),
+      op_return: pending.data ? [pending.data] : [],
+      direction: WalletPay.TxEntry.OUTGOING
+    })
+  }
+
+  async _unlock (spent) {
+    // Failed broadcasts keep the outputs locked, the psbt can be broadcasted again
+    if (!spent) return
+    const { txid } = this.getLastAttempt()
+    await this._syncManager.releaseUtxo(txid, true)
+    await this._syncManager.removePsbt(txid)
+  }
+}
+
+module.exports = PsbtTransaction
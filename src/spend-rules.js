@@ -0,0 +1,72 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+// @desc: default min confirmations of outputs received from other wallets
+const MIN_CONF = 1
+// @desc: default min confirmations of change, and other outputs of transactions funded by the wallet
+const CHANGE_MIN_CONF = 0
+// @desc: mempool limit of unconfirmed ancestors and descendants of a transaction, including itself
+const MAX_CHAIN = 25
+
+/**
+ * @description Rules for which unspent outputs coin selection may spend.
+ * Outputs received from other wallets can be double spent until they confirm, so they need min_conf confirmations.
+ * Change of the wallet can only be double spent by the wallet, and has its own min confirmations.
+ * Unconfirmed outputs are spent only while the new transaction stays within the mempool chain limit.
+ */
+class SpendRules {
+  static MAX_CHAIN = MAX_CHAIN
+
+  /**
+  * @param {Object} config spend rules
+  * @param {Number?} config.min_conf min confirmations of outputs received from other wallets
+  * @param {Number?} config.change_min_conf min confirmations of outputs of transactions funded by the wallet
+  * @param {Number?} config.max_chain max unconfirmed ancestors and descendants, including the new transaction. Can't be above 25
+  */
+  constructor (config = {}) {
+    this.minConf = config.min_conf === undefined ? MIN_CONF : config.min_conf
+    this.changeMinConf = config.change_min_conf === undefined ? CHANGE_MIN_CONF : config.change_min_conf
+    this.maxChain = Math.min(config.max_chain === undefined ? MAX_CHAIN : config.max_chain, MAX_CHAIN)
+  }
+
+  /**
+  * @description check if coin selection may spend an output
+  * @param {Object} coin output details
+  * @param {Number} coin.confirmations confirmations of the output. 0 in the mempool
+  * @param {boolean} coin.change true if the transaction of the output is funded by the wallet
+  * @param {Number} coin.ancestors unconfirmed ancestors of the output transaction, including itself
+  * @param {Number} coin.descendants most unconfirmed descendants of one of the ancestors, including itself
+  * @returns {boolean}
+  */
+  allows (coin) {
+    const minConf = coin.change ? this.changeMinConf : this.minConf
+    if (coin.confirmations < minConf) return false
+    return this.allowsChain(coin)
+  }
+
+  /**
+  * @description check if spending an output keeps the new transaction within the mempool chain limit.
+  * Checked for outputs chosen by the user too, nodes reject transactions above the limit
+  * @param {Object} coin output details. same as allows
+  * @returns {boolean}
+  */
+  allowsChain ({ confirmations, ancestors = 0, descendants = 0 }) {
+    if (confirmations > 0) return true
+    return ancestors + 1 <= this.maxChain && descendants + 1 <= this.maxChain
+  }
+}
+
+module.exports = SpendRules
@@ -41,6 +41,13 @@ class SyncManager extends EventEmitter {
     this.minBlockConfirm = config.minBlockConfirm
     this.store = config.store
     this._addressType = config.addressType
+    // @desc: script types change is received on. Internal paths are scanned for each of them
+    this._changeTypes = config.changeTypes || [this._addressType]
+    // @desc: time in ms before locked outputs of a send, or a psbt, are released
+    this._lockTimeout = config.lockTimeout
+    this._holdTimeout = config.holdTimeout
+    // @desc: min confirmations and chain limit of outputs spent by coin selection. See SpendRules
+    this._spendRules = config.spendRules
 
     // @desc: halt syncing
     this._halt = false
@@ -73,7 +80,13 @@ class SyncManager extends EventEmitter {
     this._addr = new AddressManager({ store: this.store })
     await this._addr.init()
     // @desc: Unspent store manages state VIN/VOUT for spending btc
-    this._unspent = new UnspentStore({ store: this.store })
+    this._unspent = new UnspentStore({
+      store: this.store,
+      lockTimeout: this._lockTimeout,
+      holdTimeout: this._holdTimeout,
+      spendRules: this._spendRules,
+      getBlockHeight: () => this.currentBlock?.current
+    })
     await this._unspent.init()
     // @desc: manage total balance of wallet
     this._totalBal = new TotalBalance({
@@ -105,6 +118,82 @@ class SyncManager extends EventEmitter {
     return this._addr.getSentTx(txid)
   }
 
+  getReplacedTx (txid) {
+    return this._addr.getReplacedTx(txid)
+  }
+
+  /**
+  * @description get block height of a transaction in history. 0 is mempool
+  * @param {String} txid transaction id
+  */
+  getTxBlockHeight (txid) {
+    return this._addr.getHeight(txid)
+  }
+
+  /**
+  * @description Mark a transaction as replaced in the mempool (BIP125).
+  * Outputs of the replaced tx are removed from the unspent store and their balance is reversed.
+  * Inputs are not touched as they are spent by the replacement.
+  * @param {String} txid replaced transaction id
+  * @param {String} newTxid replacement transaction id
+  */
+  async replaceTx (txid, newTxid) {
+    const { _addr } = this
+
+    await this._removeOutputs(txid)
+    await _addr.markReplaced(txid, newTxid)
+
+    const sent = await _addr.getSentTx(txid)
+    if (sent) {
+      sent.replaced_by = newTxid
+      await _addr.addSentTx(sent)
+    }
+  }
+
+  /**
+  * @description Undo a sent transaction that was rejected by the node.
+  * Its outputs and history are removed, and the outputs it spent are unspent again with their balance restored.
+  * @param {String} txid rejected transaction id
+  * @returns {Promise<Array<String>>} outpoints (txid:index) that are spendable again
+  */
+  async dropTx (txid) {
+    const { _addr, _totalBal, _unspent } = this
+
+    const sent = await _addr.getSentTx(txid)
+    if (!sent) return []
+
+    await this._removeOutputs(txid)
+    const points = await _unspent.unspend(txid, sent.utxo)
+    for (const utxo of sent.utxo) {
+      const point = utxo.txid + ':' + utxo.index
+      if (!points.includes(point)) continue
+      const bal = await _addr.get(utxo.address)
+      if (!bal) continue
+      bal.in.removeTxid(point)
+      await _addr.set(utxo.address, bal)
+      await _totalBal.removeTxId('in', point)
+    }
+    await _addr.removeTx(txid)
+    await _addr.removeSentTx(txid)
+    return points
+  }
+
+  // @desc: remove outputs of a tx from the unspent store and reverse their balance
+  async _removeOutputs (txid) {
+    const { _addr, _totalBal, _unspent } = this
+
+    const outs = await _unspent.removeTx(txid)
+    for (const utxo of outs) {
+      const point = utxo.txid + ':' + utxo.index
+      const bal = await _addr.get(utxo.address)
+      if (!bal) continue
+      bal.out.removeTxid(point)
+      bal.fee.removeTxid(point)
+      await _addr.set(utxo.address, bal)
+      await _totalBal.removeTxId('out', point)
+    }
+  }
+
   async _updateScriptHashBalance (changeScriptHash, changeHash) {
     const { provider, _addrWatch } = this
     const { extlist, inlist } = await _addrWatch.getWatchedAddress()
@@ -145,15 +234,97 @@ class SyncManager extends EventEmitter {
   }
 
   /**
-   * @description utxo that is locked for spending
+   * @description locked outputs with owner and expiry
+  */
+  async listLockedUtxo () {
+    const locks = await this._unspent.listLocks()
+    await this.prunePsbt()
+    return locks
+  }
+
+  async releaseLock (point) {
+    const released = await this._unspent.releaseLock(point)
+    if (released) await this.prunePsbt()
+    return released
+  }
+
+  /**
+   * @description keep outputs of a reservation locked for a transaction signed outside of the wallet
+   */
+  holdUtxo (owner, id) {
+    return this._unspent.hold(owner, id)
+  }
+
+  getHeldUtxo (id) {
+    return this._unspent.getHeld(id)
+  }
+
+  /**
+   * @description release outputs locked under a reservation id
+   * @param {String} id reservation id
+   * @param {boolean} spent if true, the outputs are spent and removed from the utxo set
+   */
+  async releaseUtxo (id, spent) {
+    return this._unspent.release(id, spent)
+  }
+
+  /**
+  * @description unspent outputs of the wallet with confirmations
+  * @param {Object} opts options
+  * @param {Number} opts.minConf min confirmations. default 0, mempool outputs included
+  * @param {Number} opts.maxConf max confirmations
+  * @param {String} opts.address only outputs of this address
+  * @param {boolean} opts.includeLocked include outputs that are locked for a transaction
+  * @param {boolean} opts.includeFrozen include frozen outputs
+  * @returns {Promise<Array>} outputs
   */
-  async unlockUtxo (state) {
-    return this._unspent.unlock(state)
+  async listUnspent (opts = {}) {
+    const { minConf = 0, maxConf = Infinity } = opts
+    const utxo = await this._unspent.list(opts)
+    return utxo.filter((u) => u.confirmations >= minConf && u.confirmations <= maxConf)
+  }
+
+  freezeUtxo (point, reason) {
+    return this._unspent.freeze(point, reason)
+  }
+
+  unfreezeUtxo (point) {
+    return this._unspent.unfreeze(point)
+  }
+
+  listFrozenUtxo (addr) {
+    return this._unspent.listFrozen(addr)
+  }
+
+  addPsbt (tx) {
+    return this._addr.addPsbt(tx)
+  }
+
+  getPsbt (txid) {
+    return this._addr.getPsbt(txid)
+  }
+
+  removePsbt (txid) {
+    return this._addr.removePsbt(txid)
+  }
+
+  /**
+  * @description remove psbt records whose outputs are no longer locked for them, because the hold expired or a lock was released.
+  * Outputs of the psbt that are still locked are released, as the psbt can't be broadcasted
+  */
+  async prunePsbt () {
+    for (const pending of await this._addr.listPsbt()) {
+      const held = this._unspent.getHeld(pending.txid)
+      if (pending.utxo.every((u) => held.includes(u.txid + ':' + u.index))) continue
+      await this._unspent.release(pending.txid, false)
+      await this._addr.removePsbt(pending.txid)
+    }
   }
 
   async updateBlock (block) {
     if (block.current !== 0 && block.diff > 0 && block.last !== 0) {
       this.currentBlock = block
+      await this.prunePsbt()
       this._newBlock()
       return
     }
@@ -222,16 +393,17 @@ class SyncManager extends EventEmitter {
   * This functions is called when there is a new block, syncing entire wallet, new script hash change is detected
   * @param {Array} txHistory transaction history
   * @param {String} path hd path string
+  * @param {String} addrType script type of the path address
   * @return {Promise}
   * */
-  async _processHistory (txHistory, path) {
+  async _processHistory (txHistory, path, addrType) {
     const { _addr } = this
 
     const newHistory = []
     for (const tx of txHistory) {
       const txState = this._getTxState(tx)
-      const outs = await this._processUtxo(tx.out, 'out', txState, tx.fee, path)
-      const ins = await this._processUtxo(tx.in, 'in', txState, 0, path)
+      const outs = await this._processUtxo(tx.out, 'out', txState, tx.fee, path, addrType)
+      const ins = await this._processUtxo(tx.in, 'in', txState, 0, path, addrType)
 
       if (tx.height === 0 && !tx.mempool_first_seen) {
         tx.mempool_ts = Date.now()
@@ -273,6 +445,8 @@ class SyncManager extends EventEmitter {
         amount: totalOutput,
         height: tx.height,
         direction,
+        // @desc: OP_RETURN data is only kept for transactions sent by the wallet
+        op_return: ownIns.length > 0 ? tx.op_return || [] : [],
         to_address_meta: outs.map((out) => {
           return {
             amount : out.value, own_address: out.own_addr
@@ -297,24 +471,35 @@ class SyncManager extends EventEmitter {
   * @description process a path for transactions/history and count gap limit.
   */
   async _processPath (path, signal) {
-    const { keyManager, provider, _halt } = this
+    const { keyManager, provider } = this
 
-    const { hash: scriptHash } = keyManager.pathToScriptHash(path, this._addressType)
-    let txHistory
-    try {
-      txHistory = await provider.getAddressHistory({ cache: true }, scriptHash)
-    } catch (e) {
-      console.log('failed to get address history', e)
-      return signal.stop
+    let hasTx = false
+    for (const addrType of this._pathTypes(path)) {
+      const { hash: scriptHash } = keyManager.pathToScriptHash(path, addrType)
+      let txHistory
+      try {
+        txHistory = await provider.getAddressHistory({ cache: true }, scriptHash)
+      } catch (e) {
+        console.log('failed to get address history', e)
+        return signal.stop
+      }
+      if (this._halt) return signal.stop
+      if (Array.isArray(txHistory) && txHistory.length === 0) continue
+      await this._processHistory(txHistory, path, addrType)
+      hasTx = true
     }
-    if (_halt) return signal.stop
+    // increase gap count if address has no tx
+    return hasTx ? signal.hasTx : signal.noTx
+  }
 
-    if (Array.isArray(txHistory) && txHistory.length === 0) {
-      // increase gap count if address has no tx
-      return signal.noTx
-    }
-    await this._processHistory(txHistory, path)
-    return signal.hasTx
+  /**
+  * @description script types of a HD path. Change on the internal chain can be any of the change types
+  * @param {String} path HD path
+  * @returns {Array<String>} script types
+  */
+  _pathTypes (path) {
+    if (path.split('/')[4] !== '1') return [this._addressType]
+    return [...new Set([this._addressType, ...this._changeTypes])]
   }
 
   /**
@@ -358,12 +543,17 @@ class SyncManager extends EventEmitter {
   * @return {Promise}
   **/
   async getBalance (addr) {
+    let bal
     if (!addr) {
-      return this._totalBal.getSpendableBalance()
+      bal = this._totalBal.getSpendableBalance()
+    } else {
+      const total = await this._addr.get(addr)
+      if (!total) throw new Error('Address not valid or not processed for balance ' + addr)
+      bal = total.out.combine(total.in)
     }
-    const total = await this._addr.get(addr)
-    if (!total) throw new Error('Address not valid or not processed for balance ' + addr)
-    return total.out.combine(total.in)
+    // @desc: value of frozen outputs. Included in the balance, but never spent automatically
+    bal.frozen = await this._unspent.getFrozenBalance(addr)
+    return bal
   }
 
   /**
@@ -406,14 +596,15 @@ class SyncManager extends EventEmitter {
    * @param {'mempool'|'confirmed'|'pending'} txState - Transaction state
    * @param {number} [txFee=0] - Transaction fee
    * @param {string} [path] - HD wallet path
+   * @param {string} [addrType=p2wpkh] - Script type of the path address
    * @returns {Promise<void[]>} Promise resolving when all UTXOs are processed
    */
-  async _processUtxo (utxoList, inout, txState, txFee = 0, path) {
+  async _processUtxo (utxoList, inout, txState, txFee = 0, path, addrType = P2WPKH) {
     const { _addr, keyManager, hdWallet, _totalBal, _unspent } = this
     let addrObj
 
     if (path) {
-      addrObj = keyManager.pathToScriptHash(path, P2WPKH)
+      addrObj = keyManager.pathToScriptHash(path, addrType)
     }
     const res = []
 
@@ -458,6 +649,8 @@ class SyncManager extends EventEmitter {
 
       /** @desc Skip if already processed */
       if (bal[inout].getTx(txState, point)) {
+        /** @desc Parent tx of an input may be confirmed since the input was stored */
+        if (inout === 'in') await _unspent.add(utxo, inout)
         res.push(utxo)
         continue
       }
@@ -490,11 +683,19 @@ class SyncManager extends EventEmitter {
 
   isStopped () { return this._halt }
 
-  async utxoForAmount (value, strategy) {
+  async utxoForAmount (value, strategy, opts) {
     if (!(value instanceof Bitcoin)) {
       value = new Bitcoin(value.amount, value.unit)
     }
-    return this._unspent.getUtxoForAmount(value, strategy)
+    return this._unspent.getUtxoForAmount(value, strategy, opts)
+  }
+
+  async utxoForSweep (points, opts) {
+    return this._unspent.getUtxoForSweep(points, opts)
+  }
+
+  async utxoForTx (txid, opts) {
+    return this._unspent.getUtxoForTx(txid, opts)
   }
 
   getTransactions (opts, fn) {
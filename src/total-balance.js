@@ -67,6 +67,16 @@ class TotalBalance {
     await this._persistBalance()
   }
 
+  /**
+   * Removes a utxo from the total balance.
+   * @param {'in'|'out'} direction - Whether the utxo is incoming or outgoing.
+   * @param {String} point - utxo id
+   */
+  async removeTxId (direction, point) {
+    this.totalBalance[direction].removeTxid(point)
+    await this._persistBalance()
+  }
+
   /**
    * Retrieves the total balance of the wallet.
    * @returns {Object} The total balance object.
@@ -15,26 +15,304 @@
 'use strict'
 const bitcoin = require('bitcoinjs-lib')
 const { EventEmitter } = require('events')
+const crypto = require('crypto')
 const Bitcoin = require('./currency.js')
+const TxSize = require('./tx-size.js')
+const BitcoinAddress = require('./bitcoin-address.js')
+const FeeLimit = require('./fee-limit.js')
+const CoinSelect = require('./coin-select.js')
+const { FeeLimitError } = FeeLimit
 const { WalletPay } = require('lib-wallet')
 
 const DUST_LIMIT = 546
+// @desc: input sequence number that signals opt-in replace-by-fee (BIP125)
+const RBF_SEQUENCE = 0xfffffffd
+// @desc: minimum fee rate increase in sat/vbyte for a replacement to be relayed
+const INCREMENTAL_RELAY_FEE = 1
+// @desc: max size of data in an OP_RETURN output that is relayed by nodes
+const MAX_OP_RETURN_SIZE = 80
+// @desc: input and output ordering modes. BIP69 sorts lexicographically, random shuffles
+const ORDERING = ['bip69', 'random']
+// @desc: script types the wallet can receive change on, sync and spend
+const CHANGE_TYPES = ['p2wpkh', 'p2tr']
 
 class Transaction extends EventEmitter {
+  static DUST_LIMIT = DUST_LIMIT
+  static ORDERING = ORDERING
+  static CHANGE_TYPES = CHANGE_TYPES
+  static FeeLimitError = FeeLimitError
+
   constructor (config) {
     super()
 
-    this._max_fee_limit = 100000 || config.max_fee_limit
+    // @desc: max_fee_limit is the max fee rate in sat/vbyte. feeLimits sets all fee caps
+    this._feeLimit = new FeeLimit({ max_fee_rate: config.max_fee_limit, ...config.feeLimits })
+    // @desc: outputs selected by this transaction are locked under this id, so transactions can be sent in parallel
+    this._reservation = crypto.randomUUID()
     this.network = config.network
+    // @desc: script type of change outputs
+    this._addressType = config.addressType || 'p2wpkh'
+    // @desc: script types the wallet can receive change on. Change uses the payment script type when it is listed
+    this._changeTypes = Transaction._parseChangeTypes(config.changeTypes || [this._addressType])
+    this._ordering = Transaction._parseOrdering(config.ordering)
+    this._strategy = Transaction._parseStrategy(config.strategy)
+    const changePolicy = config.changePolicy || {}
+    this._changePolicy = {
+      // @desc: change below this value in sats is added to the fee
+      threshold: Math.max(changePolicy.threshold || 0, DUST_LIMIT),
+      // @desc: prefer input sets that need no change output
+      avoidChange: !!changePolicy.avoid_change,
+      // @desc: fee rate in sat/vbyte expected for spending the change output later
+      longTermFeeRate: changePolicy.long_term_fee_rate || 1
+    }
     this.provider = config.provider
     this.keyManager = config.keyManager
     this._getInternalAddress = config.getInternalAddress
     this._syncManager = config.syncManager
+    this._outbox = config.outbox
     this._txData = []
   }
 
   async send (opts) {
-    const tx = await this._createTransaction(opts)
+    const tx = opts.sendAll ? await this._createSweep(opts) : await this._createTransaction(opts)
+    return this._broadcast(tx)
+  }
+
+  /**
+  * @description Estimate a transaction without signing, locking outputs or deriving a change address.
+  * Uses the same coin selection as send.
+  * @param {Object} opts transaction details. same as send
+  * @returns {Promise<Object>} inputs, vSize, fee, feeRate, change and amount of the transaction
+  */
+  async quote (opts) {
+    const { fee, ignoreFeeLimits } = opts
+    this._checkFeeRate(fee, ignoreFeeLimits)
+    const data = Transaction.parseData(opts.data, opts.dataEncoding)
+
+    if (opts.sendAll) {
+      this._outputScript(opts.address)
+      const { utxo, total } = await this._syncManager.utxoForSweep(Transaction.parseInputs(opts.inputs), { lock: false })
+      const vSize = this._estimateVsize(utxo, [opts.address], data, false)
+      const totalFee = Math.ceil(fee * vSize)
+      const amount = Bitcoin.BN(total.toBaseUnit()).minus(totalFee).toNumber()
+      if (amount <= DUST_LIMIT) throw new Error('send amount must be bigger than dust limit ' + DUST_LIMIT + ' got: ' + amount)
+      if (!ignoreFeeLimits) this._feeLimit.check({ fee: totalFee, amount })
+      return Transaction._quoteResult(utxo, vSize, totalFee, 0, new Bitcoin(amount, 'base'))
+    }
+
+    const recipients = this._parseRecipients(opts)
+    recipients.forEach(({ amount }) => {
+      if (+amount.toBaseUnit() <= DUST_LIMIT) throw new Error('send amount must be bigger than dust limit ' + DUST_LIMIT + ' got: ' + amount.toBaseUnit())
+    })
+    const subtractFee = !!opts.subtractFee
+    const inputs = Transaction.parseInputs(opts.inputs)
+    const strategy = Transaction._parseStrategy(opts.strategy || this._strategy)
+    let utxoSet = inputs
+      ? await this._syncManager.utxoForSweep(inputs, { lock: false })
+      : await this._selectUtxo(recipients, fee, { data, subtractFee, strategy, lock: false })
+    while (true) {
+      const { utxo, total } = utxoSet
+      const plan = this._planChange(utxo, total, recipients, fee, { data, subtractFee, changeType: this._changeType(recipients) })
+      if (plan) {
+        const totalFee = plan.fee + plan.dropped
+        const amount = Transaction.sumRecipients(subtractFee ? Transaction._subtractFee(recipients, plan.fee) : recipients)
+        if (!ignoreFeeLimits) this._feeLimit.check({ fee: totalFee, amount: +amount.toBaseUnit() })
+        const res = Transaction._quoteResult(utxo, plan.vSize, totalFee, plan.change, amount)
+        res.changePolicy = plan.policy
+        return res
+      }
+      if (inputs) throw Transaction._inputsError(total, recipients)
+      // Same as send: not enough to pay for amount + fee, select more outputs
+      utxoSet = await this._syncManager.utxoForAmount(total.add(new Bitcoin(fee, 'base')), strategy, {
+        ...this._selectOpts(recipients, fee, { data, subtractFee }),
+        lock: false
+      })
+    }
+  }
+
+  /**
+  * @description validate a requested fee rate
+  * @param {Number} fee fee rate in sat/vbyte
+  * @param {boolean} ignoreFeeLimits skip the fee limits
+  * @throws {FeeLimitError} fee rate is above max_fee_rate
+  */
+  _checkFeeRate (fee, ignoreFeeLimits) {
+    if (!fee || fee <= 0) throw new Error('Invalid fee ' + fee)
+    if (!ignoreFeeLimits) this._feeLimit.checkRate(fee)
+  }
+
+  static _quoteResult (utxo, vSize, fee, change, amount) {
+    return {
+      inputs: utxo.map(({ txid, index, value, address }) => {
+        return { txid, index, value, address }
+      }),
+      vSize,
+      fee,
+      feeRate: fee / vSize,
+      change,
+      amount,
+      totalSpent: new Bitcoin(Bitcoin.BN(amount.toBaseUnit()).plus(fee).toNumber(), 'base')
+    }
+  }
+
+  /**
+  * @description virtual size of a signed transaction, from the script types of its inputs and outputs
+  * @param {Array} utxo outputs to spend
+  * @param {Array<String|Object>} addresses output addresses, or internal address objects
+  * @param {Buffer?} data data for an OP_RETURN output
+  * @param {boolean|String} hasChange add a change output. Script type of the change, or true for the wallet address type
+  * @returns {Number} virtual size
+  */
+  _estimateVsize (utxo, addresses, data, hasChange) {
+    const inputs = utxo.map((u) => TxSize.scriptType(Buffer.from(u.witness_hex, 'hex')))
+    return this._vsizeFor(inputs, addresses, data, hasChange)
+  }
+
+  _vsizeFor (inputs, addresses, data, hasChange) {
+    const outputs = addresses.map((addr) => {
+      return this._outputScript(typeof addr === 'string' ? addr : addr.address)
+    })
+    if (data) outputs.push(bitcoin.payments.embed({ data: [data] }).output)
+    if (hasChange) outputs.push(hasChange === true ? this._addressType : hasChange)
+    return TxSize.estimateVsize(inputs, outputs)
+  }
+
+  /**
+  * @description fee for creating a change output now and spending it later
+  * @param {Number} fee fee rate in sat/vbyte
+  * @param {String} type script type of the change output
+  * @returns {Number} cost in sats
+  */
+  _costOfChange (fee, type = this._addressType) {
+    const { longTermFeeRate } = this._changePolicy
+    return Math.ceil(fee * TxSize.outputSize(type)) + Math.ceil(longTermFeeRate * TxSize.inputVsize(type))
+  }
+
+  /**
+  * @description script type for the change output of a payment.
+  * Same as the payment when all recipients share a type the wallet can receive change on, so change does not stand out.
+  * @param {Array<{address: String, amount: Bitcoin}>} recipients outputs of the transaction
+  * @returns {String} script type
+  */
+  _changeType (recipients) {
+    const types = new Set(recipients.map(({ address }) => BitcoinAddress.parse(address, this.network).type))
+    const [type] = types
+    if (types.size === 1 && this._changeTypes.includes(type)) return type
+    return this._addressType
+  }
+
+  /**
+  * @description decide if a transaction gets a change output, following the change policy.
+  * Value that does not go to a change output is added to the fee.
+  * @param {Array} utxo outputs to spend
+  * @param {Bitcoin} total total value of utxo
+  * @param {Array<{address: String, amount: Bitcoin}>} recipients outputs of the transaction
+  * @param {Number} fee fee rate in sat/vbyte
+  * @param {Object} opts options
+  * @param {Buffer} opts.data data for an OP_RETURN output
+  * @param {boolean} opts.subtractFee fee is paid by the recipients
+  * @param {String} opts.changeType script type of the change output
+  * @returns {Object|null} change, vSize, fee at the fee rate, value dropped to fee and the policy decision.
+  * null when utxo can not pay for amount + fee
+  */
+  _planChange (utxo, total, recipients, fee, opts = {}) {
+    const { data, subtractFee = false, changeType = this._addressType } = opts
+    const { threshold, avoidChange } = this._changePolicy
+    const addresses = recipients.map(({ address }) => address)
+    const sendAmount = Transaction.sumRecipients(recipients)
+    const leftover = Bitcoin.BN(total.toBaseUnit()).minus(sendAmount.toBaseUnit()).toNumber()
+    const vSizeChange = this._estimateVsize(utxo, addresses, data, changeType)
+    const vSizeNoChange = this._estimateVsize(utxo, addresses, data, false)
+    const feeChange = Math.ceil(fee * vSizeChange)
+    const feeNoChange = Math.ceil(fee * vSizeNoChange)
+    // value left without a change output, and value of the change output
+    const excess = subtractFee ? leftover : leftover - feeNoChange
+    const change = subtractFee ? leftover : leftover - feeChange
+    if (excess < 0) return null
+
+    const costOfChange = this._costOfChange(fee, changeType)
+    let decision = 'change'
+    if (avoidChange && excess <= costOfChange) {
+      decision = 'avoided'
+    } else if (change < threshold) {
+      decision = 'below_threshold'
+    }
+    const policy = { decision, threshold, avoidChange, costOfChange, dropped: 0 }
+    if (decision === 'change') {
+      return { change, vSize: vSizeChange, fee: feeChange, dropped: 0, policy }
+    }
+    policy.dropped = excess
+    return { change: 0, vSize: vSizeNoChange, fee: feeNoChange, dropped: excess, policy }
+  }
+
+  /**
+  * @description select outputs for paying a list of recipients, by effective value at the fee rate.
+  * An input set that pays for amount + fee without change is preferred.
+  * @param {Array<{address: String, amount: Bitcoin}>} recipients outputs of the transaction
+  * @param {Number} fee fee rate in sat/vbyte
+  * @param {Object} opts options
+  * @param {String} opts.strategy name of the coin selection strategy
+  * @param {boolean} opts.lock lock selected outputs. default true
+  */
+  async _selectUtxo (recipients, fee, opts = {}) {
+    const { data, subtractFee = false, strategy = this._strategy, lock = true } = opts
+    const sendAmount = Transaction.sumRecipients(recipients)
+    return this._syncManager.utxoForAmount(sendAmount, strategy, {
+      ...this._selectOpts(recipients, fee, { data, subtractFee }),
+      lock,
+      owner: this._reservation
+    })
+  }
+
+  /**
+  * @description coin selection options for paying a list of recipients at a fee rate. See CoinSelect.select
+  * @param {Array<{address: String, amount: Bitcoin}>} recipients outputs of the transaction
+  * @param {Number} fee fee rate in sat/vbyte
+  * @param {Object} opts options
+  * @param {Buffer} opts.data data for an OP_RETURN output
+  * @param {boolean} opts.subtractFee the recipients pay the fee
+  */
+  _selectOpts (recipients, fee, opts = {}) {
+    const { data, subtractFee = false } = opts
+    const addresses = recipients.map(({ address }) => address)
+    const changeType = this._changeType(recipients)
+    // The recipients pay the fee, inputs only need to cover the amount
+    const feeRate = subtractFee ? 0 : fee
+    return {
+      feeRate,
+      // size without inputs and change. 1 vbyte for the segwit marker and flag
+      baseVsize: this._vsizeFor([], addresses, data, false) + 1,
+      costOfChange: this._costOfChange(feeRate, changeType),
+      minChange: this._changePolicy.threshold + Math.ceil(feeRate * TxSize.outputSize(changeType)),
+      longTermFeeRate: this._changePolicy.longTermFeeRate
+    }
+  }
+
+  /**
+  * @description Replace a transaction sent by the wallet with one paying a higher fee rate (BIP125)
+  * @param {String} txid id of the transaction to replace
+  * @param {Number} fee new fee rate in sat/vbyte
+  * @param {Object} opts options
+  * @param {boolean} opts.ignoreFeeLimits skip the fee limits
+  */
+  async bumpFee (txid, fee, opts = {}) {
+    const tx = await this._createReplacement(txid, fee, opts)
+    return this._broadcast(tx)
+  }
+
+  /**
+  * @description Cancel a transaction sent by the wallet by spending its inputs back to the wallet at a higher fee rate (BIP125)
+  * @param {String} txid id of the transaction to cancel
+  * @param {Number} fee new fee rate in sat/vbyte
+  * @param {Object} opts options
+  * @param {boolean} opts.ignoreFeeLimits skip the fee limits
+  */
+  async cancel (txid, fee, opts = {}) {
+    const tx = await this._createCancellation(txid, fee, opts)
+    return this._broadcast(tx)
+  }
+
+  async _broadcast (tx) {
     let txid
     try {
       txid = await this._broadcastTransaction(this.getLastAttempt())
@@ -43,87 +321,317 @@ class Transaction extends EventEmitter {
       throw new Error('failed to broadcast tx')
     }
     if (txid?.message) {
-      this._syncManager.unlockUtxo(false)
+      await this._unlock(false)
       throw new Error('Broadcast failed: ' + txid.message.split('\n').shift())
     }
-    this._syncManager.unlockUtxo(true)
+    await this._unlock(true)
     return tx
   }
 
+  /**
+  * @description release outputs selected for this transaction
+  * @param {boolean} spent true if the transaction has been broadcasted
+  */
+  _unlock (spent) {
+    return this._syncManager.releaseUtxo(this._reservation, spent)
+  }
+
+  /**
+  * @description release outputs selected for this transaction when it can't be created. Outputs of other transactions stay locked
+  */
+  _releaseReservation () {
+    return this._syncManager.releaseUtxo(this._reservation, false)
+  }
+
   getLastAttempt () {
     return this._txData.at(-1)
   }
 
   async _broadcastTransaction (tx) {
+    // The outbox keeps the tx when the node can't be reached, and broadcasts it again later
+    if (this._outbox) return this._outbox.send(tx)
     return this.provider.broadcastTransaction(tx.hex)
   }
 
-  async _generateRawTx (utxoSet, fee, sendAmount, address, changeAddr, weight = 1) {
-    if (+sendAmount.toBaseUnit() <= DUST_LIMIT) throw new Error('send amount must be bigger than dust limit ' + DUST_LIMIT + ' got: ' + sendAmount.toBaseUnit())
+  /**
+  * @description create a psbt spending a list of utxo. Inputs signal replaceability
+  * @param {Array} utxo outputs to spend
+  * @returns {bitcoin.Psbt}
+  */
+  _newPsbt (utxo) {
     const { keyManager, network } = this
-    const { utxo, total } = utxoSet
     const psbt = new bitcoin.Psbt({ network: bitcoin.networks[network] })
 
     utxo.forEach((utxo, index) => {
       psbt.addInput({
         hash: utxo.txid,
         index: utxo.index,
+        sequence: RBF_SEQUENCE,
         witnessUtxo: {
           script: Buffer.from(utxo.witness_hex, 'hex'),
           value: +utxo.value.toBaseUnit()
         }
       })
 
+      const derivation = {
+        masterFingerprint: keyManager.bip32.fingerprint,
+        path: utxo.address_path,
+        pubkey: Buffer.from(utxo.address_public_key, 'hex')
+      }
+      if (TxSize.scriptType(Buffer.from(utxo.witness_hex, 'hex')) !== 'p2tr') {
+        psbt.updateInput(index, { bip32Derivation: [derivation] })
+        return
+      }
+      // Key path spend. The internal key is the x-only public key
+      const xOnly = derivation.pubkey.subarray(1, 33)
       psbt.updateInput(index, {
-        bip32Derivation: [
-          {
-            masterFingerprint: keyManager.bip32.fingerprint,
-            path: utxo.address_path,
-            pubkey: Buffer.from(utxo.address_public_key, 'hex')
-          }
-        ]
+        tapInternalKey: xOnly,
+        tapBip32Derivation: [{ ...derivation, pubkey: xOnly, leafHashes: [] }]
       })
     })
+    return psbt
+  }
+
+  /**
+  * @description parse data for an OP_RETURN output
+  * @param {String|Buffer} data hex or utf8 string
+  * @param {String} encoding encoding of data string. hex or utf8
+  * @returns {Buffer|null}
+  */
+  static parseData (data, encoding = 'utf8') {
+    if (data === undefined || data === null) return null
+    if (!['hex', 'utf8'].includes(encoding)) throw new Error('Invalid data encoding ' + encoding)
+    if (typeof data === 'string' && encoding === 'hex' && !/^([0-9a-fA-F]{2})*$/.test(data)) throw new Error('Invalid hex data')
+    const buf = Buffer.isBuffer(data) ? data : Buffer.from(data, encoding)
+    if (buf.length === 0) throw new Error('OP_RETURN data is empty')
+    if (buf.length > MAX_OP_RETURN_SIZE) throw new Error('OP_RETURN data must be ' + MAX_OP_RETURN_SIZE + ' bytes or less, got: ' + buf.length)
+    return buf
+  }
+
+  static _dataOutput (data) {
+    return {
+      script: bitcoin.payments.embed({ data: [data] }).output,
+      value: 0
+    }
+  }
+
+  static _parseStrategy (strategy = CoinSelect.DEFAULT_STRATEGY) {
+    if (!CoinSelect.has(strategy)) throw new Error('Unknown coin selection strategy ' + strategy + '. expected: ' + CoinSelect.strategies().join(', '))
+    return strategy
+  }
+
+  static _parseOrdering (ordering = 'bip69') {
+    if (!ORDERING.includes(ordering)) throw new Error('Invalid ordering ' + ordering + '. expected: ' + ORDERING.join(', '))
+    return ordering
+  }
+
+  static _parseChangeTypes (types) {
+    types.forEach((type) => {
+      if (!CHANGE_TYPES.includes(type)) throw new Error('Invalid change type ' + type + '. expected: ' + CHANGE_TYPES.join(', '))
+    })
+    return types
+  }
+
+  /**
+  * @description order inputs and outputs of a transaction before signing,
+  * so the change output can't be found by its position
+  * @param {Array} utxo outputs to spend
+  * @param {Array<{script: Buffer, value: Number}>} outputs transaction outputs
+  * @param {String} ordering bip69 or random
+  * @returns {{ utxo: Array, outputs: Array }} ordered copies of utxo and outputs
+  */
+  static _order (utxo, outputs, ordering) {
+    if (ordering === 'random') {
+      return { utxo: Transaction._shuffle(utxo), outputs: Transaction._shuffle(outputs) }
+    }
+    // BIP69: inputs by txid then index, outputs by value then script
+    return {
+      utxo: [...utxo].sort((a, b) => {
+        return Buffer.compare(Buffer.from(a.txid, 'hex'), Buffer.from(b.txid, 'hex')) || a.index - b.index
+      }),
+      outputs: [...outputs].sort((a, b) => a.value - b.value || Buffer.compare(a.script, b.script))
+    }
+  }
+
+  static _shuffle (list) {
+    const res = [...list]
+    for (let i = res.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1)
+      const tmp = res[i]
+      res[i] = res[j]
+      res[j] = tmp
+    }
+    return res
+  }
+
+  /**
+  * @description id of the transaction in a psbt. Same as the id of the signed segwit transaction
+  * @param {bitcoin.Psbt} psbt
+  * @returns {String} txid
+  */
+  static psbtTxid (psbt) {
+    return bitcoin.Transaction.fromBuffer(psbt.data.getTransaction()).getId()
+  }
+
+  /**
+  * @description sign all inputs of a psbt with the wallet keys and extract the transaction.
+  * p2tr inputs are signed with the tweaked key
+  * @param {bitcoin.Psbt} psbt
+  * @returns {bitcoin.Transaction}
+  */
+  _signPsbt (psbt) {
+    const { keyManager } = this
+    psbt.data.inputs.forEach((input, index) => {
+      if (!input.tapInternalKey) return psbt.signInputHD(index, keyManager.bip32)
+      psbt.signInput(index, keyManager.taprootSigner(input.tapBip32Derivation[0].path))
+    })
+    psbt.finalizeAllInputs()
+    return psbt.extractTransaction()
+  }
 
-    const totalFee = Bitcoin.BN(fee).times(weight)
-    const change = Bitcoin.BN(total.toBaseUnit()).minus(sendAmount.toBaseUnit()).minus(totalFee).toNumber()
+  /**
+  * @description build and sign a transaction paying a list of recipients, with change going to changeAddr
+  * @param {Object} utxoSet outputs to spend
+  * @param {Number} fee fee rate in sat/vbyte
+  * @param {Array<{address: String, amount: Bitcoin}>} recipients outputs of the transaction
+  * @param {Object} changeAddr change address
+  * @param {Object} opts options
+  * @param {boolean} opts.sign sign the transaction. Unsigned transactions are returned as a psbt
+  * @param {Buffer} opts.data data for an OP_RETURN output
+  * @param {boolean} opts.subtractFee take the fee off the recipient outputs instead of adding it on top
+  * @param {String} opts.ordering input and output ordering. bip69 or random
+  * @param {String} opts.strategy coin selection strategy for selecting more UTXO
+  * @param {boolean} opts.ignoreFeeLimits skip the fee limits
+  */
+  async _generateRawTx (utxoSet, fee, recipients, changeAddr, opts = {}) {
+    const { sign = true, data, subtractFee = false, ordering = this._ordering, strategy = this._strategy, ignoreFeeLimits = false } = opts
+    recipients.forEach(({ amount }) => {
+      if (+amount.toBaseUnit() <= DUST_LIMIT) throw new Error('send amount must be bigger than dust limit ' + DUST_LIMIT + ' got: ' + amount.toBaseUnit())
+    })
+    const { utxo, total } = utxoSet
+    const changeType = BitcoinAddress.parse(changeAddr.address, this.network).type
+    const plan = this._planChange(utxo, total, recipients, fee, { data, subtractFee, changeType })
 
-    if (change < DUST_LIMIT) {
+    if (!plan) {
+      // Inputs chosen by the caller are never extended
+      if (utxoSet.manual) throw Transaction._inputsError(total, recipients)
       // Current UTXO set is not enought to pay for amount + fee. we need to get more UTXO.
       // If there is no more UTXO. this will throw error
-      await this._syncManager.unlockUtxo(false)
-      const newAmount = total.add(new Bitcoin(fee, 'base'))
-      const newUtxoSet = await this._syncManager.utxoForAmount(newAmount)
-      return await this._generateRawTx(newUtxoSet, fee, sendAmount, address, changeAddr, weight)
+      const newUtxoSet = await this._moreUtxo(utxoSet, fee, strategy, this._selectOpts(recipients, fee, { data, subtractFee }))
+      return await this._generateRawTx(newUtxoSet, fee, recipients, changeAddr, opts)
     }
 
-    psbt.addOutput({
-      address,
-      value: +sendAmount.toBaseUnit()
+    const { change, vSize } = plan
+    const totalFee = Bitcoin.BN(plan.fee).plus(plan.dropped)
+    const outputs = subtractFee ? Transaction._subtractFee(recipients, plan.fee) : recipients
+    const paid = Transaction.sumRecipients(outputs)
+    // The requested fee rate was checked before selecting coins. Change dropped to the fee counts for max_fee and max_fee_percent
+    if (!ignoreFeeLimits) this._feeLimit.check({ fee: totalFee.toNumber(), amount: +paid.toBaseUnit() })
+    const txOutputs = outputs.map(({ address, amount }) => {
+      return { address, value: +amount.toBaseUnit() }
     })
+    if (change !== 0) txOutputs.push({ address: changeAddr.address, value: change })
 
-    if (change !== 0) {
-      psbt.addOutput({
-        address: changeAddr.address,
-        value: change
-      })
+    const txOuts = txOutputs.map(({ address, value }) => {
+      return { script: this._outputScript(address), value }
+    })
+    if (data) txOuts.push(Transaction._dataOutput(data))
+    const changeOut = change !== 0 ? txOuts[txOutputs.length - 1] : null
+
+    const ordered = Transaction._order(utxo, txOuts, ordering)
+    const psbt = this._newPsbt(ordered.utxo)
+    ordered.outputs.forEach((out) => psbt.addOutput(out))
+
+    const sentTx = {
+      changeAddress: changeAddr,
+      // @desc: index of the change output in the transaction. null when there is no change
+      changeIndex: changeOut ? ordered.outputs.indexOf(changeOut) : null,
+      to: outputs.map(({ address }) => address),
+      recipients: outputs.map(({ address, amount }) => {
+        return { address, value: +amount.toBaseUnit() }
+      }),
+      fee: totalFee.toNumber(),
+      totalSpent: new Bitcoin(totalFee.plus(paid.toBaseUnit()).toNumber(), 'base'),
+      data: data ? data.toString('hex') : null,
+      changePolicy: plan.policy,
+      utxo: ordered.utxo
+    }
+
+    if (sign) {
+      const tx = this._signPsbt(psbt)
+      sentTx.txid = tx.getId()
+      sentTx.feeRate = psbt.getFeeRate()
+      sentTx.vSize = tx.virtualSize()
+      sentTx.hex = tx.toHex()
+      sentTx.vout = tx.outs
+    } else {
+      sentTx.txid = Transaction.psbtTxid(psbt)
+      sentTx.feeRate = totalFee.toNumber() / vSize
+      sentTx.vSize = vSize
+      sentTx.psbt = psbt.toBase64()
+      sentTx.vout = psbt.txOutputs
     }
 
-    utxo.forEach((u, index) => {
-      psbt.signInputHD(index, keyManager.bip32)
+    this._txData.push(sentTx)
+
+    return new WalletPay.TxEntry({
+      txid: sentTx.txid,
+      to_address: txOutputs.map(({ address }) => address),
+      to_address_meta: txOutputs.map(({ address, value }) => {
+        return {
+          amount: new Bitcoin(value, 'base'), own_address: address === changeAddr.address
+        }
+      }),
+      fee: sentTx.fee,
+      fee_rate: sentTx.feeRate,
+      amount: paid,
+      from_address: utxo.map(({ address }) => address),
+      op_return: data ? [sentTx.data] : [],
+      change_policy: plan.policy,
+      direction: WalletPay.TxEntry.OUTGOING
     })
-    psbt.finalizeAllInputs()
-    const tx = psbt.extractTransaction()
+  }
+
+  /**
+  * @description build and sign a transaction spending all of utxoSet to one address, without change
+  * @param {Object} utxoSet outputs to spend
+  * @param {Number} fee total fee in sats
+  * @param {String|Object} address destination address, or an internal address object when sending to the wallet
+  * @param {Object} opts options
+  * @param {Buffer?} opts.data data for an OP_RETURN output
+  * @param {String} opts.ordering input and output ordering. bip69 or random
+  * @param {boolean} opts.ignoreFeeLimits skip the fee limits
+  */
+  _generateSweepTx (utxoSet, fee, address, opts = {}) {
+    const { data, ordering = this._ordering, ignoreFeeLimits = false } = opts
+    const { utxo, total } = utxoSet
+    const internal = typeof address !== 'string'
+    const to = internal ? address.address : address
+    const totalFee = Bitcoin.BN(fee)
+    const value = Bitcoin.BN(total.toBaseUnit()).minus(totalFee).toNumber()
+    if (value <= DUST_LIMIT) throw new Error('send amount must be bigger than dust limit ' + DUST_LIMIT + ' got: ' + value)
+    if (!ignoreFeeLimits) this._feeLimit.check({ fee, amount: internal ? 0 : value })
+
+    const txOuts = [{ script: this._outputScript(to), value }]
+    if (data) txOuts.push(Transaction._dataOutput(data))
+    const ordered = Transaction._order(utxo, txOuts, ordering)
+    const psbt = this._newPsbt(ordered.utxo)
+    ordered.outputs.forEach((out) => psbt.addOutput(out))
+
+    const tx = this._signPsbt(psbt)
     const sentTx = {
       txid: tx.getId(),
-      changeAddress: changeAddr,
-      to: address,
+      changeAddress: internal ? address : null,
+      changeIndex: internal ? ordered.outputs.indexOf(txOuts[0]) : null,
+      to: [to],
+      recipients: internal ? [] : [{ address: to, value }],
       feeRate: psbt.getFeeRate(),
       fee: totalFee.toNumber(),
-      totalSpent: new Bitcoin(totalFee.plus(sendAmount.toBaseUnit()).toNumber(), 'base'),
+      totalSpent: new Bitcoin(internal ? totalFee.toNumber() : total.toBaseUnit(), 'base'),
+      data: data ? data.toString('hex') : null,
       vSize: tx.virtualSize(),
       hex: tx.toHex(),
-      utxo,
+      utxo: ordered.utxo,
       vout: tx.outs
     }
 
@@ -131,41 +639,282 @@ class Transaction extends EventEmitter {
 
     return new WalletPay.TxEntry({
       txid: sentTx.txid,
-      to_address: psbt.txOutputs.map(({address}) => address ),
+      to_address: [to],
+      to_address_meta: [{ amount: new Bitcoin(value, 'base'), own_address: internal }],
       fee: sentTx.fee,
       fee_rate: sentTx.feeRate,
-      amount: sendAmount,
+      amount: new Bitcoin(value, 'base'),
       from_address: utxo.map(({ address }) => address),
-      direction: WalletPay.TxEntry.OUTGOING
+      op_return: data ? [sentTx.data] : [],
+      direction: internal ? WalletPay.TxEntry.INTERNAL : WalletPay.TxEntry.OUTGOING
     })
   }
 
-  async _createTransaction ({ address, amount, unit, fee }) {
-    if (!fee || fee <= 0 || fee > this._max_fee_limit) throw new Error('Invalid fee ' + fee)
+  /**
+  * @description Select a bigger UTXO set. Inputs in utxoSet.fixed are always kept,
+  * only the extra inputs are reselected.
+  * @param {Object} utxoSet current UTXO set
+  * @param {Number} fee fee rate in sat/vbyte
+  * @param {String} strategy name of the coin selection strategy
+  * @param {Object} selectOpts coin selection options. See _selectOpts
+  */
+  async _moreUtxo (utxoSet, fee, strategy, selectOpts) {
+    const { total, fixed, extra, exclude } = utxoSet
+    await this._releaseReservation()
+    if (!fixed) {
+      return this._syncManager.utxoForAmount(total.add(new Bitcoin(fee, 'base')), strategy, { ...selectOpts, owner: this._reservation })
+    }
+    const extraAmount = (extra ? extra.total : new Bitcoin(0, 'base')).add(new Bitcoin(fee, 'base'))
+    const newExtra = await this._syncManager.utxoForAmount(extraAmount, strategy, { ...selectOpts, exclude, owner: this._reservation })
+    return {
+      fixed,
+      exclude,
+      extra: newExtra,
+      utxo: fixed.utxo.concat(newExtra.utxo),
+      total: fixed.total.add(newExtra.total)
+    }
+  }
+
+  /**
+  * @description total amount sent to a list of recipients
+  * @param {Array<{address: String, amount: Bitcoin}>} recipients
+  * @returns {Bitcoin}
+  */
+  static sumRecipients (recipients) {
+    return recipients.reduce((sum, { amount }) => sum.add(amount), new Bitcoin(0, 'base'))
+  }
 
-    const changeAddr = await this._getInternalAddress()
-    const sendAmount = new Bitcoin(amount, unit)
-    const utxoSet = await this._syncManager.utxoForAmount({ amount, unit })
+  /**
+  * @description take a fee off recipient outputs. The fee is split evenly, the first output pays the remainder
+  * @param {Array<{address: String, amount: Bitcoin}>} recipients
+  * @param {Number} fee fee in sats
+  * @returns {Array<{address: String, amount: Bitcoin}>} recipients with reduced amounts
+  */
+  static _subtractFee (recipients, fee) {
+    const share = Math.floor(fee / recipients.length)
+    const rest = fee - share * recipients.length
+    return recipients.map(({ address, amount }, index) => {
+      const value = Bitcoin.BN(amount.toBaseUnit()).minus(share).minus(index === 0 ? rest : 0).toNumber()
+      if (value <= DUST_LIMIT) throw new Error('send amount after fee must be bigger than dust limit ' + DUST_LIMIT + ' got: ' + value)
+      return { address, amount: new Bitcoin(value, 'base') }
+    })
+  }
 
-    // Generate a fake transaction to determine weight of the transaction
-    // then we create a new tx with correct fee
-    let finalTx
+  /**
+  * @description validate a list of outpoints chosen by the caller
+  * @param {Array<String>?} inputs outpoints (txid:vout)
+  * @returns {Array<String>|null}
+  */
+  static parseInputs (inputs) {
+    if (inputs === undefined || inputs === null) return null
+    if (!Array.isArray(inputs) || inputs.length === 0) throw new Error('Invalid inputs')
+    inputs.forEach((pt) => {
+      if (typeof pt !== 'string' || !/^[0-9a-fA-F]{64}:\d+$/.test(pt)) throw new Error('Invalid outpoint ' + pt + '. expected txid:vout')
+    })
+    if (new Set(inputs).size !== inputs.length) throw new Error('Duplicate outpoint in inputs')
+    return inputs
+  }
+
+  static _inputsError (total, recipients) {
+    return new Error('Selected inputs can not cover amount + fee. inputs: ' + total.toBaseUnit() + ' amount: ' + Transaction.sumRecipients(recipients).toBaseUnit() + ' sats')
+  }
+
+  /**
+  * @description output script of an address. Throws for addresses that are not valid for the wallet network
+  * @param {String} address
+  * @returns {Buffer} output script
+  */
+  _outputScript (address) {
+    return BitcoinAddress.parse(address, this.network).script
+  }
+
+  /**
+  * @description parse outgoing tx details into a list of recipients
+  * @param {Object} outgoing transaction details. Either a single address/amount or a list of outputs
+  * @returns {Array<{address: String, amount: Bitcoin}>}
+  */
+  _parseRecipients ({ address, amount, unit, outputs }) {
+    if (!outputs) {
+      outputs = [{ address, amount, unit }]
+    }
+    if (!Array.isArray(outputs) || outputs.length === 0) throw new Error('Invalid outputs')
+    return outputs.map((out) => {
+      if (!out.address) throw new Error('Invalid output address')
+      this._outputScript(out.address)
+      return {
+        address: out.address,
+        amount: new Bitcoin(out.amount, out.unit || unit)
+      }
+    })
+  }
+
+  /**
+  * @description select coins and create a transaction at the requested fee rate
+  * @param {Object} outgoing transaction details
+  * @param {boolean} sign sign the transaction. If false, the transaction is returned as a psbt and not stored as sent
+  */
+  async _createTransaction (outgoing, sign = true) {
+    const { fee, ignoreFeeLimits } = outgoing
+    this._checkFeeRate(fee, ignoreFeeLimits)
 
+    const recipients = this._parseRecipients(outgoing)
+    const data = Transaction.parseData(outgoing.data, outgoing.dataEncoding)
+    const inputs = Transaction.parseInputs(outgoing.inputs)
+    const ordering = Transaction._parseOrdering(outgoing.ordering || this._ordering)
+    const strategy = Transaction._parseStrategy(outgoing.strategy || this._strategy)
+    const changeAddr = await this._getInternalAddress(this._changeType(recipients))
+    const subtractFee = !!outgoing.subtractFee
+    let utxoSet
+    if (inputs) {
+      utxoSet = await this._syncManager.utxoForSweep(inputs, { owner: this._reservation })
+      utxoSet.manual = true
+    } else {
+      utxoSet = await this._selectUtxo(recipients, fee, { data, subtractFee, strategy })
+    }
+
+    let finalTx
     try {
-      await this._generateRawTx(utxoSet, fee, sendAmount, address, changeAddr)
+      finalTx = await this._generateRawTx(utxoSet, fee, recipients, changeAddr, { sign, data, subtractFee, ordering, strategy, ignoreFeeLimits })
     } catch (err) {
-      throw new Error('Failed to simulate tx: ' + err.message)
+      await this._releaseReservation()
+      if (err instanceof FeeLimitError) throw err
+      throw new Error('failed to send transaction: ' + err.message)
     }
 
+    if (sign) await this._syncManager.addSentTx(this.getLastAttempt())
+    return finalTx
+  }
+
+  /**
+  * @description Spend all spendable outputs, or only the listed outpoints, to one address with no change output.
+  * The amount sent is the total of the inputs minus the fee.
+  * @param {Object} outgoing transaction details
+  * @param {String} outgoing.address destination address
+  * @param {Number} outgoing.fee fee rate in sat/vbyte
+  * @param {Array<String>?} outgoing.inputs outpoints (txid:index) to spend. Defaults to all spendable outputs
+  */
+  async _createSweep ({ address, fee, inputs, data, dataEncoding, ordering, ignoreFeeLimits }) {
+    this._checkFeeRate(fee, ignoreFeeLimits)
+    this._outputScript(address)
+    data = Transaction.parseData(data, dataEncoding)
+    ordering = Transaction._parseOrdering(ordering || this._ordering)
+
+    const utxoSet = await this._syncManager.utxoForSweep(Transaction.parseInputs(inputs), { owner: this._reservation })
+
+    let finalTx
     try {
-      finalTx = await this._generateRawTx(utxoSet, fee, sendAmount, address, changeAddr, this.getLastAttempt().vSize)
+      // The fee is deducted from the output
+      const vSize = this._estimateVsize(utxoSet.utxo, [address], data, false)
+      finalTx = this._generateSweepTx(utxoSet, Math.ceil(fee * vSize), address, { data, ordering, ignoreFeeLimits })
     } catch (err) {
-      throw new Error('failed to send transaction' + err.message)
+      await this._releaseReservation()
+      if (err instanceof FeeLimitError) throw err
+      throw new Error('Failed to create sweep tx: ' + err.message)
     }
 
     await this._syncManager.addSentTx(this.getLastAttempt())
     return finalTx
   }
+
+  /**
+  * @description Rebuild a sent transaction with the same inputs, recipients and change address at a higher fee rate.
+  * More UTXO are added when the change output can not absorb the higher fee.
+  * @param {String} txid id of the transaction to replace
+  * @param {Number} fee new fee rate in sat/vbyte
+  * @param {Object} opts options. same as bumpFee
+  */
+  async _createReplacement (txid, fee, opts = {}) {
+    const { ignoreFeeLimits } = opts
+    const prev = await this._getReplaceableTx(txid, fee, ignoreFeeLimits)
+    if (!prev.changeAddress || !prev.recipients) throw new Error('Transaction has no change output to pay for a higher fee: ' + txid)
+
+    const utxo = prev.utxo
+    const total = utxo.reduce((sum, u) => sum.add(u.value), new Bitcoin(0, 'base'))
+    const recipients = prev.recipients.map(({ address, value }) => {
+      return { address, amount: new Bitcoin(value, 'base') }
+    })
+    const data = prev.data ? Buffer.from(prev.data, 'hex') : null
+    const utxoSet = {
+      utxo,
+      total,
+      fixed: { utxo, total },
+      // @desc: outputs of the replaced tx can't be spent by the replacement
+      exclude: prev.vout.map((out, index) => txid + ':' + index)
+    }
+
+    let finalTx
+    try {
+      finalTx = await this._generateRawTx(utxoSet, fee, recipients, prev.changeAddress, { data, ignoreFeeLimits })
+    } catch (err) {
+      await this._releaseReservation()
+      if (err instanceof FeeLimitError) throw err
+      throw new Error('failed to send transaction: ' + err.message)
+    }
+
+    const attempt = this.getLastAttempt()
+    if (attempt.fee - prev.fee < attempt.vSize * INCREMENTAL_RELAY_FEE) {
+      await this._releaseReservation()
+      throw new Error('Fee increase is too small to replace transaction')
+    }
+    attempt.replaces = txid
+    await this._syncManager.addSentTx(attempt)
+    return finalTx
+  }
+
+  /**
+  * @description Build a replacement that spends the inputs of a sent transaction to a new internal address
+  * @param {String} txid id of the transaction to cancel
+  * @param {Number} fee new fee rate in sat/vbyte
+  * @param {Object} opts options. same as cancel
+  */
+  async _createCancellation (txid, fee, opts = {}) {
+    const { ignoreFeeLimits } = opts
+    const prev = await this._getReplaceableTx(txid, fee, ignoreFeeLimits)
+    const utxo = prev.utxo
+    const utxoSet = {
+      utxo,
+      total: utxo.reduce((sum, u) => sum.add(u.value), new Bitcoin(0, 'base'))
+    }
+    const address = await this._getInternalAddress()
+
+    let finalTx
+    try {
+      const vSize = this._estimateVsize(utxo, [address], null, false)
+      finalTx = this._generateSweepTx(utxoSet, Math.ceil(fee * vSize), address, { ignoreFeeLimits })
+    } catch (err) {
+      if (err instanceof FeeLimitError) throw err
+      throw new Error('Failed to create cancel tx: ' + err.message)
+    }
+
+    const attempt = this.getLastAttempt()
+    if (attempt.fee - prev.fee < attempt.vSize * INCREMENTAL_RELAY_FEE) {
+      throw new Error('Fee increase is too small to replace transaction')
+    }
+    attempt.replaces = txid
+    await this._syncManager.addSentTx(attempt)
+    return finalTx
+  }
+
+  /**
+  * @description get a sent transaction that can be replaced with a higher fee rate
+  * @param {String} txid transaction id
+  * @param {Number} fee new fee rate in sat/vbyte
+  * @param {boolean} ignoreFeeLimits skip the fee limits
+  * @returns {Promise<Object>} sent transaction
+  */
+  async _getReplaceableTx (txid, fee, ignoreFeeLimits) {
+    const prev = await this._syncManager.getSentTx(txid)
+    if (!prev) throw new Error('Transaction not found: ' + txid)
+    if (prev.replaced_by) throw new Error('Transaction already replaced by: ' + prev.replaced_by)
+    if (await this._syncManager.getTxBlockHeight(txid) > 0) throw new Error('Transaction already confirmed: ' + txid)
+    if (!fee || fee <= prev.feeRate) throw new Error('Invalid fee ' + fee)
+    if (!ignoreFeeLimits) this._feeLimit.checkRate(fee)
+
+    prev.utxo.forEach((u) => {
+      u.value = new Bitcoin(u.value)
+    })
+    return prev
+  }
 }
 
 module.exports = Transaction
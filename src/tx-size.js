@@ -0,0 +1,135 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+// @desc: bytes of a DER signature with sighash flag. Signatures are 71 or 72 bytes, use the upper bound
+const SIG_SIZE = 72
+const PUBKEY_SIZE = 33
+const SCHNORR_SIG_SIZE = 64
+
+// @desc: size of the scriptSig and witness of an input for each script type that the wallet can spend
+const INPUT_SIZE = {
+  p2pkh: { scriptSig: 1 + SIG_SIZE + 1 + PUBKEY_SIZE, witness: 0 },
+  // p2sh inputs are spent as nested p2wpkh
+  p2sh: { scriptSig: 23, witness: 1 + 1 + SIG_SIZE + 1 + PUBKEY_SIZE },
+  p2wpkh: { scriptSig: 0, witness: 1 + 1 + SIG_SIZE + 1 + PUBKEY_SIZE },
+  // key path spend with default sighash
+  p2tr: { scriptSig: 0, witness: 1 + 1 + SCHNORR_SIG_SIZE }
+}
+
+// @desc: size of the output script for each script type
+const SCRIPT_SIZE = {
+  p2pkh: 25,
+  p2sh: 23,
+  p2wpkh: 22,
+  p2wsh: 34,
+  p2tr: 34
+}
+
+/**
+ * @description Estimate the size of a transaction from the script types of its inputs and outputs,
+ * without building or signing it.
+ */
+class TxSize {
+  static SCRIPT_SIZE = SCRIPT_SIZE
+  // @desc: script types of outputs that can be spent
+  static INPUT_TYPES = Object.keys(INPUT_SIZE)
+
+  /**
+  * @description script type of an output script
+  * @param {Buffer} script output script
+  * @returns {String|null} p2pkh, p2sh, p2wpkh, p2wsh, p2tr, nulldata or null for unknown scripts
+  */
+  static scriptType (script) {
+    const len = script.length
+    if (len === 25 && script[0] === 0x76 && script[1] === 0xa9 && script[2] === 0x14 && script[23] === 0x88 && script[24] === 0xac) return 'p2pkh'
+    if (len === 23 && script[0] === 0xa9 && script[1] === 0x14 && script[22] === 0x87) return 'p2sh'
+    if (len === 22 && script[0] === 0x00 && script[1] === 0x14) return 'p2wpkh'
+    if (len === 34 && script[0] === 0x00 && script[1] === 0x20) return 'p2wsh'
+    if (len === 34 && script[0] === 0x51 && script[1] === 0x20) return 'p2tr'
+    if (len > 0 && script[0] === 0x6a) return 'nulldata'
+    return null
+  }
+
+  static varIntSize (n) {
+    if (n < 0xfd) return 1
+    if (n <= 0xffff) return 3
+    if (n <= 0xffffffff) return 5
+    return 9
+  }
+
+  /**
+  * @description size of an input
+  * @param {String} type script type of the output being spent
+  * @returns {{ base: Number, witness: Number }} size in bytes of the non witness and witness data
+  */
+  static inputSize (type) {
+    const size = INPUT_SIZE[type]
+    if (!size) throw new Error('Unsupported input script type: ' + type)
+    // outpoint + scriptSig + sequence
+    return {
+      base: 36 + TxSize.varIntSize(size.scriptSig) + size.scriptSig + 4,
+      witness: size.witness
+    }
+  }
+
+  /**
+  * @description virtual size of an input
+  * @param {String} type script type of the output being spent
+  * @returns {Number} size in vbytes
+  */
+  static inputVsize (type) {
+    const { base, witness } = TxSize.inputSize(type)
+    return Math.ceil((base * 4 + witness) / 4)
+  }
+
+  /**
+  * @description size of an output
+  * @param {Buffer|String} script output script, or a script type
+  * @returns {Number} size in bytes
+  */
+  static outputSize (script) {
+    const len = typeof script === 'string' ? SCRIPT_SIZE[script] : script.length
+    if (len === undefined) throw new Error('Unsupported output script type: ' + script)
+    // value + script
+    return 8 + TxSize.varIntSize(len) + len
+  }
+
+  /**
+  * @description virtual size of a signed transaction
+  * @param {Array<String>} inputs script types of the outputs being spent
+  * @param {Array<Buffer|String>} outputs output scripts, or script types
+  * @returns {Number} virtual size in vbytes
+  */
+  static estimateVsize (inputs, outputs) {
+    const ins = inputs.map((type) => TxSize.inputSize(type))
+    const segwit = ins.some(({ witness }) => witness > 0)
+    // version + locktime + input and output counts
+    let base = 8 + TxSize.varIntSize(inputs.length) + TxSize.varIntSize(outputs.length)
+    // marker and flag
+    let witness = segwit ? 2 : 0
+    ins.forEach((size) => {
+      base += size.base
+      // inputs without witness data still have an empty witness stack in a segwit tx
+      if (segwit) witness += size.witness || 1
+    })
+    outputs.forEach((script) => {
+      base += TxSize.outputSize(script)
+    })
+    return Math.ceil((base * 4 + witness) / 4)
+  }
+}
+
+module.exports = TxSize
@@ -14,9 +14,18 @@
 
 'use strict'
 const Bitcoin = require('./currency')
+const CoinSelect = require('./coin-select.js')
+const TxSize = require('./tx-size.js')
+const SpendRules = require('./spend-rules.js')
+
+// @desc: default time in ms before locks of a send are released. Covers a crash during a send
+const LOCK_TIMEOUT = 10 * 60 * 1000
+// @desc: default time in ms before locks of a transaction signed outside of the wallet are released
+const HOLD_TIMEOUT = 24 * 60 * 60 * 1000
 
 /**
- * @description Class for storing Bitcoin VIN and VOUT
+ * @description Class for storing Bitcoin VIN and VOUT.
+ * Entries are kept in memory, indexed by outpoint, and written through to the store. Reads don't scan the store.
 **/
 class VinVout {
   constructor (config, vtype) {
@@ -25,40 +34,82 @@ class VinVout {
   }
 
   async init () {
+    // @desc: in memory copy of the store. outpoint -> entry
+    this._index = new Map()
+    await this.store.entries(async (k, v) => {
+      this._index.set(k, VinVout._entry(v))
+    })
+  }
 
+  static _entry (utxo) {
+    return { ...utxo, value: utxo.value instanceof Bitcoin ? utxo.value : new Bitcoin(utxo.value) }
+  }
+
+  _key (utxo) {
+    return this.vtype === 'vout' ? utxo.txid + ':' + utxo.index : utxo.prev_txid + ':' + utxo.prev_index
   }
 
   async push (utxo) {
-    const key = this.vtype === 'vout' ? utxo.txid + ':' + utxo.index : utxo.prev_txid + ':' + utxo.prev_index
-    if (await this.store.get(key)) return
-    return this.store.put(key, utxo)
+    const key = this._key(utxo)
+    const prev = this._index.get(key)
+    if (!prev) {
+      this._index.set(key, VinVout._entry(utxo))
+      return this.store.put(key, utxo)
+    }
+    // @desc: keep block heights up to date when a mempool tx, or the parent tx of a vin, is confirmed
+    const update = {}
+    for (const field of ['height', 'prev_tx_height']) {
+      if (utxo[field] !== undefined && prev[field] !== utxo[field]) update[field] = utxo[field]
+    }
+    if (Object.keys(update).length === 0) return
+    Object.assign(prev, update)
+    return this.store.put(key, { ...(await this.store.get(key)), ...update })
   }
 
-  async filter (cb) {
-    return this.store.entries(async (k, v) => {
-      const bool = await cb(v)
-      if (!bool) {
-        await this.store.delete(k)
-      }
-    })
+  async filter (fn) {
+    for (const [k, v] of [...this._index]) {
+      const bool = await fn({ ...v })
+      if (!bool) await this.delete(k)
+    }
   }
 
-  async entries (cb) {
-    return this.store.entries(async (k, v) => {
-      v.value = new Bitcoin(v.value)
-      await cb(v, k)
-    })
+  async entries (fn) {
+    for (const [k, v] of [...this._index]) {
+      await fn({ ...v }, k)
+    }
   }
 
-  async some (cb) {
-    return this.store.some(async (k, v) => {
-      v.value = new Bitcoin(v.value)
-      return cb(v)
-    })
+  async some (fn) {
+    for (const v of this._index.values()) {
+      if (await fn({ ...v })) return true
+    }
+    return false
+  }
+
+  has (key) {
+    return this._index.has(key)
+  }
+
+  keys () {
+    return [...this._index.keys()]
   }
 
   get (key) {
-    return this.store.get(key)
+    const v = this._index.get(key)
+    return v ? { ...v } : undefined
+  }
+
+  get size () {
+    return this._index.size
+  }
+
+  async delete (key) {
+    if (!this._index.delete(key)) return
+    await this.store.delete(key)
+  }
+
+  async clear () {
+    for (const key of this.keys()) await this.delete(key)
   }
 }
 
@@ -66,7 +117,19 @@ class VinVout {
  * @description class for tracking vin and vout, for spending btc
 */
 class UnspentStore {
+  /**
+  * @param {Object} config
+  * @param {Object} config.store store instance
+  * @param {Number} config.lockTimeout time in ms before locks of a send are released
+  * @param {Number} config.holdTimeout time in ms before locks of a psbt are released
+  * @param {Object} config.spendRules min confirmations and chain limit of spent outputs. See SpendRules
+  * @param {function(): Number} config.getBlockHeight current block height
+  */
   constructor (config) {
+    this._spendRules = new SpendRules(config.spendRules)
+    this._getBlockHeight = config.getBlockHeight || (() => 0)
+    this._lockTimeout = config.lockTimeout || LOCK_TIMEOUT
+    this._holdTimeout = config.holdTimeout || HOLD_TIMEOUT
     this.store = config.store.newInstance({ name: 'utxo' })
     this.vin = new VinVout({
       store: config.store.newInstance({ name: 'utxo-vin' }),
@@ -76,15 +139,20 @@ class UnspentStore {
       store: config.store.newInstance({ name: 'utxo-vout' }),
       vtype: 'vout'
     })
-    this.ready = false
+    // @desc: selections that lock outputs run one after the other, so parallel sends never reserve the same output
+    this._queue = Promise.resolve()
   }
 
   async init () {
     await this.vin.init()
     await this.vout.init()
-    this.locked = await this.store.get('utxo_lock') || []
-    this._lockedUtxo = []
-    this._spentUtxo = []
+    // @desc: locked outputs, persisted so coins are not selected twice after a restart. outpoint -> { owner, locked_at, expires_at }
+    this._locks = new Map(Object.entries(await this.store.get('utxo_lock') || {}))
+    await this._releaseExpired()
+    // @desc: outputs spent by the wallet that may still be in the vout store until the next sync
+    this._spentUtxo = new Set()
+    // @desc: outputs that are never selected for spending. outpoint -> { reason, frozen_at }
+    this._frozen = new Map(Object.entries(await this.store.get('utxo_frozen') || {}))
     await this.process()
   }
 
@@ -112,79 +180,479 @@ class UnspentStore {
 
   // @desc: remove utxo that has been spent using the vin set
   async process () {
-    await this.vout.filter(async (utxo) => {
-      return !(await this.vin.some((vin) => {
-        return vin.prev_txid === utxo.txid && vin.prev_index === utxo.index
-      }))
+    // @desc: vin entries are keyed by the outpoint they spend
+    for (const key of this.vout.keys()) {
+      if (this.vin.has(key)) await this.vout.delete(key)
+    }
+  }
+
+  _reserve (points, owner) {
+    const now = Date.now()
+    points.forEach((pt) => {
+      this._locks.set(pt, { owner, locked_at: now, expires_at: now + this._lockTimeout })
+    })
+    return this._persistLocks()
+  }
+
+  /**
+  * @description run a selection that locks outputs after the running ones are done
+  * @param {function(): Promise} fn selection
+  */
+  _exclusive (fn) {
+    const res = this._queue.then(() => fn())
+    this._queue = res.catch(() => {})
+    return res
+  }
+
+  _isLocked (id) {
+    const lock = this._locks.get(id)
+    return !!lock && lock.expires_at > Date.now()
+  }
+
+  /**
+  * @description move the outputs of a reservation to an id, and keep them locked until the hold timeout.
+  * Used for transactions that are signed outside of the wallet.
+  * @param {String} owner reservation id
+  * @param {String} id id of the lock holder
+  */
+  async hold (owner, id) {
+    const expires = Date.now() + this._holdTimeout
+    this.getHeld(owner).forEach((pt) => {
+      this._locks.set(pt, { ...this._locks.get(pt), owner: id, expires_at: expires })
+    })
+    await this._persistLocks()
+  }
+
+  /**
+  * @description outputs locked under an id
+  * @param {String} id id of the lock holder
+  * @returns {Array<String>} outpoints
+  */
+  getHeld (id) {
+    return [...this._locks.entries()].filter(([pt, lock]) => lock.owner === id && this._isLocked(pt)).map(([pt]) => pt)
+  }
+
+  /**
+  * @description release outputs locked under an id, including expired locks. Locks of other ids are kept
+  * @param {String} id reservation id, or id of the lock holder
+  * @param {boolean} spent if true, remove outputs from vout set
+  */
+  async release (id, spent) {
+    const points = [...this._locks.entries()].filter(([, lock]) => lock.owner === id).map(([pt]) => pt)
+    points.forEach((pt) => this._locks.delete(pt))
+    await this._persistLocks()
+    if (spent) await this._markSpent(points)
+  }
+
+  /**
+  * @description locked outputs. Expired locks are released
+  * @returns {Promise<Array>} outpoint, owner, locked_at and expires_at of each lock
+  */
+  async listLocks () {
+    await this._releaseExpired()
+    return [...this._locks.entries()].map(([outpoint, lock]) => {
+      return { outpoint, ...lock }
     })
-    this.ready = true
   }
 
-  /** desc: lock a ouput **/
-  async lock (id) {
-    const exists = await this.vout.some((utxo) => utxo.txid === id)
-    if (this.locked.includes(id) || !exists) return false
-    this.locked.push(id)
+  /**
+  * @description release the lock of an output
+  * @param {String} id outpoint (txid:index)
+  * @returns {Promise<boolean>} false if the output was not locked
+  */
+  async releaseLock (id) {
+    if (!this._locks.delete(id)) return false
+    await this._persistLocks()
+    return true
+  }
+
+  async _releaseExpired () {
+    const now = Date.now()
+    let expired = false
+    for (const [pt, lock] of this._locks) {
+      if (lock.expires_at > now) continue
+      this._locks.delete(pt)
+      expired = true
+    }
+    if (!expired) return
+    await this._persistLocks()
+  }
+
+  _persistLocks () {
+    return this.store.put('utxo_lock', Object.fromEntries(this._locks))
+  }
+
+  async _resetLock () {
+    this._locks = new Map()
+    await this._persistLocks()
+  }
+
+  _isFrozen (id) {
+    return this._frozen.has(id)
+  }
+
+  /**
+  * @description keep an output out of coin selection until it is unfrozen
+  * @param {String} id outpoint (txid:index)
+  * @param {String?} reason why the output is frozen
+  * @returns {Promise<Object>} frozen output
+  */
+  async freeze (id, reason) {
+    if (!this.vout.has(id)) throw new Error('Outpoint not found or already spent: ' + id)
+    this._frozen.set(id, { reason: reason || null, frozen_at: Date.now() })
+    await this._persistFrozen()
+    return { outpoint: id, ...this._frozen.get(id) }
+  }
+
+  /**
+  * @description allow a frozen output to be selected for spending again
+  * @param {String} id outpoint (txid:index)
+  * @returns {Promise<boolean>} false if the output was not frozen
+  */
+  async unfreeze (id) {
+    if (!this._frozen.delete(id)) return false
+    await this._persistFrozen()
     return true
   }
 
-  getUtxoForAmount (amount, strategy) {
-    if (!this.ready) throw new Error('not ready. tx in progress')
-    this.ready = false
-    // small to large
-    return this._smallToLarge(amount)
+  /**
+  * @description frozen outputs that are unspent
+  * @param {String?} addr only outputs of this address
+  * @returns {Promise<Array>} outputs with outpoint, reason and frozen_at
+  */
+  async listFrozen (addr) {
+    const res = []
+    if (this._frozen.size === 0) return res
+    await this.vout.entries(async (v) => {
+      const pt = `${v.txid}:${v.index}`
+      if (!this._isFrozen(pt) || this._spentUtxo.has(pt)) return
+      if (addr && v.address !== addr) return
+      res.push({ ...v, outpoint: pt, ...this._frozen.get(pt) })
+    })
+    return res
   }
 
   /**
-  * @description unlock locked outputs for spending.
-  * @param {boolean} state if true, remove locked outputs from vout set. if FALSE, reset lock
+  * @description total value of frozen outputs
+  * @param {String?} addr only outputs of this address
+  * @returns {Promise<Bitcoin>}
   */
-  async unlock (state) {
-    if (!state) {
-      this.locked = []
-      this.ready = true
-      return
+  async getFrozenBalance (addr) {
+    const frozen = await this.listFrozen(addr)
+    return frozen.reduce((sum, { value }) => sum.add(value), new Bitcoin(0, 'main'))
+  }
+
+  /**
+  * @description unspent outputs with lock and freeze status. Confirmations and change status are the ones used by the spend rules
+  * @param {Object} opts options
+  * @param {String?} opts.address only outputs of this address
+  * @param {boolean} opts.includeLocked include outputs that are locked for a transaction
+  * @param {boolean} opts.includeFrozen include frozen outputs
+  * @returns {Promise<Array>} outputs
+  */
+  async list (opts = {}) {
+    const { address, includeLocked = false, includeFrozen = false } = opts
+    const graph = await this._txGraph()
+    const height = this._getBlockHeight() || 0
+    const res = []
+    await this.vout.entries(async (v) => {
+      const pt = `${v.txid}:${v.index}`
+      if (this._spentUtxo.has(pt)) return
+      if (address && v.address !== address) return
+      const locked = this._isLocked(pt)
+      const frozen = this._isFrozen(pt)
+      if ((locked && !includeLocked) || (frozen && !includeFrozen)) return
+      res.push({
+        txid: v.txid,
+        index: v.index,
+        outpoint: pt,
+        value: v.value,
+        address: v.address,
+        path: v.address_path,
+        script_type: v.witness_hex ? TxSize.scriptType(Buffer.from(v.witness_hex, 'hex')) : null,
+        height: v.height || 0,
+        confirmations: UnspentStore._confirmations(v, height),
+        change: graph.own.has(v.txid),
+        locked,
+        frozen
+      })
+    })
+    return res
+  }
+
+  _persistFrozen () {
+    return this.store.put('utxo_frozen', Object.fromEntries(this._frozen))
+  }
+
+  /**
+  * @description filter for outputs that may be spent under the spend rules
+  * @param {boolean} chainOnly only check the unconfirmed chain limit. Used for outputs chosen by the user
+  * @returns {Promise<function(Object): boolean>}
+  */
+  async _spendFilter (chainOnly = false) {
+    const graph = await this._txGraph()
+    const height = this._getBlockHeight() || 0
+    return (utxo) => {
+      const coin = this._spendInfo(utxo, graph, height)
+      return chainOnly ? this._spendRules.allowsChain(coin) : this._spendRules.allows(coin)
+    }
+  }
+
+  /**
+  * @description unconfirmed transactions of the wallet, linked by the outputs they spend. Built from the vin set,
+  * so only parents that paid the wallet are known
+  * @returns {Promise<Object>} txids funded by the wallet, and unconfirmed parents and children by txid
+  */
+  async _txGraph () {
+    const own = new Set()
+    const parents = new Map()
+    const children = new Map()
+    const link = (map, from, to) => map.set(from, (map.get(from) || new Set()).add(to))
+    await this.vin.entries(async (vin) => {
+      own.add(vin.txid)
+      if (vin.height > 0 || vin.prev_tx_height !== 0) return
+      link(parents, vin.txid, vin.prev_txid)
+      link(children, vin.prev_txid, vin.txid)
+    })
+    return { own, parents, children }
+  }
+
+  /**
+  * @description confirmations, change status and unconfirmed chain of an output. See SpendRules.allows
+  */
+  _spendInfo (utxo, graph, height) {
+    const confirmations = UnspentStore._confirmations(utxo, height)
+    const info = { confirmations, change: graph.own.has(utxo.txid), ancestors: 0, descendants: 0 }
+    if (confirmations > 0) return info
+
+    const ancestors = UnspentStore._walk(graph.parents, utxo.txid)
+    info.ancestors = ancestors.size
+    ancestors.forEach((txid) => {
+      info.descendants = Math.max(info.descendants, UnspentStore._walk(graph.children, txid).size)
+    })
+    return info
+  }
+
+  // @desc: block of the tx counts as the first confirmation. Block height may not be known yet, outputs in a block have at least 1 confirmation
+  static _confirmations (utxo, height) {
+    return utxo.height > 0 ? Math.max(height - utxo.height + 1, 1) : 0
+  }
+
+  // @desc: txids reachable from a txid, including itself
+  static _walk (links, txid) {
+    const seen = new Set([txid])
+    const queue = [txid]
+    while (queue.length) {
+      for (const next of links.get(queue.shift()) || []) {
+        if (seen.has(next)) continue
+        seen.add(next)
+        queue.push(next)
+      }
     }
+    return seen
+  }
 
-    await Promise.all(this.locked.map(async (id) => {
-      this._spentUtxo.push(id)
-      return this.vout.filter((utxo) => utxo.txid !== id)
-    }))
+  async _markSpent (points) {
+    for (const pt of points) {
+      this._spentUtxo.add(pt)
+      await this.vout.delete(pt)
+    }
+  }
 
-    this.locked = []
-    this.ready = true
+  /**
+  * @description return outputs spent by a transaction to the unspent set, when the transaction was rejected.
+  * Outputs spent by another transaction stay spent
+  * @param {String} txid id of the spending transaction
+  * @param {Array} utxo outputs spent by the transaction
+  * @returns {Promise<Array<String>>} outpoints (txid:index) returned to the unspent set
+  */
+  async unspend (txid, utxo) {
+    const points = []
+    for (const u of utxo) {
+      const pt = `${u.txid}:${u.index}`
+      const vin = this.vin.get(pt)
+      if (vin && vin.txid !== txid) continue
+      await this.vin.delete(pt)
+      this._spentUtxo.delete(pt)
+      await this.vout.push(u)
+      points.push(pt)
+    }
+    return points
   }
 
   /**
-  * @description collect unspent outputs for performing a tx
-  * TODO: ADD UTXO selection args here
+  * @description select outputs for spending an amount
+  * @param {Bitcoin} amount amount to spend
+  * @param {String} strategy name of a coin selection strategy. See CoinSelect. Used with opts.feeRate
+  * @param {Object} opts options
+  * @param {Array<String>} opts.exclude outpoints (txid:index) that must not be selected
+  * @param {boolean} opts.lock lock selected outputs. default true. set to false for estimating a transaction
+  * @param {String} opts.owner reservation id the selected outputs are locked under
+  * @param {Number} opts.feeRate fee rate in sat/vbyte. When set, outputs are selected by effective value. See CoinSelect.select for the other options
   */
-  async _smallToLarge (amount) {
-    let total = new Bitcoin(0, amount.type)
+  getUtxoForAmount (amount, strategy, opts = {}) {
+    const select = async () => {
+      const res = opts.feeRate !== undefined
+        ? await this._selectCoins(amount, strategy || undefined, opts)
+        // small to large
+        : await this._smallToLarge(amount, opts)
+      if (opts.lock !== false) await this._reserve(res.utxo.map((u) => `${u.txid}:${u.index}`), opts.owner)
+      return res
+    }
+    return opts.lock !== false ? this._exclusive(select) : select()
+  }
+
+  /**
+  * @description select outputs by effective value at a fee rate
+  * @param {Bitcoin} amount amount to spend
+  * @param {String} strategy name of the coin selection strategy
+  * @param {Object} opts options. same as CoinSelect.select
+  */
+  async _selectCoins (amount, strategy, opts) {
+    const exclude = new Set(opts.exclude)
+    const candidates = []
+    const spendable = await this._spendFilter()
+    await this.vout.entries(async (v) => {
+      const pt = `${v.txid}:${v.index}`
+      if (this._isLocked(pt) || this._isFrozen(pt) || this._spentUtxo.has(pt) || exclude.has(pt)) return
+      if (!spendable(v)) return
+      candidates.push(v)
+    })
+    if (candidates.length === 0) throw new Error('Insufficient funds or no utxo available')
+
+    const utxo = CoinSelect.select(candidates, { ...opts, target: +amount.toBaseUnit() }, strategy)
+    if (!utxo) throw new Error('Have utxo but insufficient funds')
+    const total = utxo.reduce((sum, u) => sum.add(u.value), new Bitcoin(0, 'base'))
+    return { utxo, total, diff: total.minus(amount) }
+  }
+
+  /**
+  * @description collect unspent outputs of a transaction for spending
+  * @param {String} txid transaction id
+  * @param {Object} opts options
+  * @param {String} opts.owner reservation id the outputs are locked under
+  */
+  getUtxoForTx (txid, opts = {}) {
+    return this._exclusive(() => this._utxoForTx(txid, opts))
+  }
+
+  async _utxoForTx (txid, { owner }) {
+    let total = new Bitcoin(0, 'base')
     const utxo = []
-    let done = false
+    let overChain = false
+    const withinChain = await this._spendFilter(true)
 
     await this.vout.entries(async (v) => {
       const pt = `${v.txid}:${v.index}`
-      if (this.locked.includes(pt) || done) return
-      if (this._spentUtxo.includes(pt) || done) return
+      if (v.txid !== txid) return
+      if (this._isLocked(pt) || this._isFrozen(pt) || this._spentUtxo.has(pt)) return
+      if (!withinChain(v)) {
+        overChain = true
+        return
+      }
       total = total.add(v.value)
       utxo.push(v)
-      await this.lock(pt)
-      if (total.gte(amount)) {
-        // TODO: SOME loop
-        done = true
+    })
+
+    if (overChain && utxo.length === 0) throw new Error('Spending tx outputs exceeds the unconfirmed chain limit: ' + txid)
+    if (utxo.length === 0) throw new Error('No unspent outputs for tx: ' + txid)
+    await this._reserve(utxo.map((u) => `${u.txid}:${u.index}`), owner)
+    return { utxo, total }
+  }
+
+  /**
+  * @description collect all spendable outputs, or only the listed outpoints
+  * @param {Array<String>?} points outpoints (txid:index) to collect
+  * @param {Object} opts options
+  * @param {boolean} opts.lock lock selected outputs. default true
+  * @param {String} opts.owner reservation id the outputs are locked under
+  * @param {function(Array): Array} opts.select pick outputs from the collected outputs. Called before they are locked
+  */
+  getUtxoForSweep (points, opts = {}) {
+    if (opts.lock === false) return this._utxoForSweep(points, opts)
+    return this._exclusive(() => this._utxoForSweep(points, opts))
+  }
+
+  async _utxoForSweep (points, { lock = true, owner, select }) {
+    let total = new Bitcoin(0, 'base')
+    let utxo = []
+    const overChain = []
+    const wanted = points && new Set(points)
+    // @desc: outputs chosen by the user skip the min confirmations, but not the chain limit
+    const spendable = await this._spendFilter(!!points)
+
+    await this.vout.entries(async (v) => {
+      const pt = `${v.txid}:${v.index}`
+      if (wanted && !wanted.has(pt)) return
+      if (this._isLocked(pt) || this._isFrozen(pt) || this._spentUtxo.has(pt)) return
+      if (!spendable(v)) {
+        if (points) overChain.push(pt)
+        return
       }
+      total = total.add(v.value)
+      utxo.push(v)
     })
-    const diff = total.minus(amount)
 
-    if (utxo.length === 0) {
-      throw new Error('Insufficient funds or no utxo available')
+    if (points && utxo.length !== points.length) {
+      const found = utxo.map((u) => `${u.txid}:${u.index}`)
+      const missing = points.filter((pt) => !found.includes(pt))
+      const frozen = missing.filter((pt) => this._isFrozen(pt))
+      if (frozen.length) throw new Error('Outpoint is frozen: ' + frozen.join(','))
+      const locked = missing.filter((pt) => this._isLocked(pt))
+      if (locked.length) throw new Error('Outpoint is locked by another transaction: ' + locked.join(','))
+      const chained = missing.filter((pt) => overChain.includes(pt))
+      if (chained.length) throw new Error('Outpoint exceeds the unconfirmed chain limit: ' + chained.join(','))
+      throw new Error('Outpoint not found or already spent: ' + missing.join(','))
     }
 
-    if (diff.toNumber() < 0) {
-      throw new Error('Have utxo but insufficient funds')
+    if (utxo.length === 0) throw new Error('Insufficient funds or no utxo available')
+    if (select) {
+      utxo = select(utxo)
+      total = utxo.reduce((sum, u) => sum.add(u.value), new Bitcoin(0, 'base'))
     }
+    if (lock) await this._reserve(utxo.map((u) => `${u.txid}:${u.index}`), owner)
+    return { utxo, total }
+  }
+
+  /**
+  * @description remove the outputs of a transaction from the vout set. Used when a tx has been replaced.
+  * @param {String} txid transaction id
+  * @returns {Promise<Array>} removed outputs
+  */
+  async removeTx (txid) {
+    const removed = []
+    await this.vout.filter((utxo) => {
+      if (utxo.txid !== txid) return true
+      removed.push(utxo)
+      return false
+    })
+    return removed
+  }
+
+  /**
+  * @description collect unspent outputs in store order until the amount is covered.
+  * Used when no fee rate is given. Coin selection strategies need a fee rate, see _selectCoins
+  */
+  async _smallToLarge (amount, opts = {}) {
+    const exclude = new Set(opts.exclude)
+    let total = new Bitcoin(0, amount.type)
+    const utxo = []
+    let done = false
+    const spendable = await this._spendFilter()
+
+    await this.vout.entries(async (v) => {
+      if (done) return
+      const pt = `${v.txid}:${v.index}`
+      if (this._isLocked(pt) || this._isFrozen(pt) || this._spentUtxo.has(pt)) return
+      if (exclude.has(pt) || !spendable(v)) return
+      total = total.add(v.value)
+      utxo.push(v)
+      done = total.gte(amount)
+    })
+    const diff = total.minus(amount)
+
+    if (utxo.length === 0) throw new Error('Insufficient funds or no utxo available')
+    if (diff.toNumber() < 0) throw new Error('Have utxo but insufficient funds')
     return { utxo, total, diff }
   }
 }
@@ -22,6 +22,12 @@ let ecc = require('@bitcoinerlab/secp256k1')
 async function loadWASM () {
   ecc = await ecc
   bip32 = BIP32Factory(ecc)
+  bitcoin.initEccLib(ecc)
+}
+
+// @desc: x-only public key of a compressed public key (BIP340)
+function toXOnly (pubkey) {
+  return pubkey.subarray(1, 33)
 }
 
 class WalletKeyBitcoin {
@@ -67,13 +73,14 @@ class WalletKeyBitcoin {
 
   /**
   * @param {string} path - BIP32 path
-  * @param {string} addrType - Address type. example: p2wkh
+  * @param {string} addrType - Address type. example: p2wkh. p2tr uses the key as internal key without a script tree (BIP86)
   * @returns {string} - Address
   * @desc Derives a bitcoin address from a BIP32 path
   */
   addrFromPath (path, addrType) {
     const node = this.bip32.derivePath(path)
-    const address = bitcoin.payments[addrType]({ pubkey: node.publicKey, network: this.network }).address
+    const key = addrType === 'p2tr' ? { internalPubkey: toXOnly(node.publicKey) } : { pubkey: node.publicKey }
+    const address = bitcoin.payments[addrType]({ ...key, network: this.network }).address
     return {
       address,
       publicKey: node.publicKey.toString('hex'),
@@ -82,6 +89,16 @@ class WalletKeyBitcoin {
     }
   }
 
+  /**
+  * @description signer for a p2tr key path spend of a BIP32 path. The key is tweaked without a script tree (BIP86)
+  * @param {string} path BIP32 path
+  * @returns {Object} signer with signSchnorr
+  */
+  taprootSigner (path) {
+    const node = this.bip32.derivePath(path)
+    return node.tweak(bitcoin.crypto.taggedHash('TapTweak', toXOnly(node.publicKey)))
+  }
+
   /**
   * @description Generate a script hash from a address
   * @param {string} addr - bitcoin address
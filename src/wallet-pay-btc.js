@@ -17,7 +17,12 @@ const { WalletPay, HdWallet } = require('lib-wallet')
 const Provider = require('./provider.js')
 const KeyManager = require('./wallet-key-btc.js')
 const Transaction = require('./transaction.js')
+const CpfpTransaction = require('./cpfp-transaction.js')
+const ConsolidateTransaction = require('./consolidate-transaction.js')
+const PsbtTransaction = require('./psbt-transaction.js')
 const SyncManager = require('./sync-manager.js')
+const BroadcastOutbox = require('./broadcast-outbox.js')
+const BitcoinAddress = require('./bitcoin-address.js')
 const Bitcoin = require('./currency')
 const FeeEstimate = require('./fee-estimate.js')
 const {
@@ -29,7 +34,7 @@ const WalletPayError = Error
 
 class WalletPayBitcoin extends WalletPay {
   static networks = ['regtest', 'mainnet', 'testnet', 'signet', 'bitcoin']
-  static events = ['ready', 'synced-path', 'new-tx']
+  static events = ['ready', 'synced-path', 'new-tx', 'tx-queued', 'tx-broadcast', 'tx-rejected', 'tx-confirmed']
 
   /**
   * Creates a new WalletPayBitcoin instance.
@@ -41,6 +46,25 @@ class WalletPayBitcoin extends WalletPay {
   * @param {string} config.network - Blockchain network.
   * @param {number} [config.gapLimit=20] - Gap limit for scanning balances.
   * @param {number} [config.min_block_confirm=1] - Minimum number of block confirmations.
+  * @param {Object} [config.outbox] - Broadcast outbox options: retry_delay, max_retry_delay and timeout in ms.
+  * @param {Object} [config.change_policy] - Change output policy.
+  * @param {number} [config.change_policy.threshold=546] - Change below this value in sats is added to the fee.
+  * @param {boolean} [config.change_policy.avoid_change=false] - Prefer input sets that need no change output. Leftover below the cost of change is added to the fee.
+  * @param {number} [config.change_policy.long_term_fee_rate=1] - Fee rate in sat/vbyte for spending change later. Used for the cost of change.
+  * @param {string} [config.tx_ordering=bip69] - Order of transaction inputs and outputs: bip69 (lexicographic) or random.
+  * @param {Array<string>} [config.change_types=['p2wpkh', 'p2tr']] - Script types change can be received on. Change matches the payment script type when it is listed.
+  * @param {Object} [config.utxo_lock] - Expiry of coin locks. Locks are stored, so coins are not spent twice after a crash, and released when they expire.
+  * @param {number} [config.utxo_lock.timeout=600000] - Time in ms before coins locked for a send are released.
+  * @param {number} [config.utxo_lock.psbt_timeout=86400000] - Time in ms before coins locked for a PSBT are released.
+  * @param {Object} [config.spend_rules] - Outputs that coin selection may spend.
+  * @param {number} [config.spend_rules.min_conf=1] - Min confirmations of outputs received from other wallets.
+  * @param {number} [config.spend_rules.change_min_conf=0] - Min confirmations of change, and other outputs of transactions funded by the wallet.
+  * @param {number} [config.spend_rules.max_chain=25] - Max unconfirmed ancestors and descendants of a new transaction. Can't be above the mempool limit of 25.
+  * @param {string} [config.coin_selection=bnb] - Coin selection strategy: bnb, largest-first, smallest-first, oldest-first, single-address, consolidation or a strategy added with CoinSelect.register.
+  * @param {Object} [config.fee_limits] - Fee safety caps. Transactions above a cap fail with a FeeLimitError before signing. Set a cap to null to turn it off.
+  * @param {number} [config.fee_limits.max_fee_rate=100000] - Max fee rate in sat/vbyte.
+  * @param {number} [config.fee_limits.max_fee=10000000] - Max fee of a transaction in sats.
+  * @param {number} [config.fee_limits.max_fee_percent] - Max fee as a percentage of the amount sent. Not checked by default.
   * @throws {WalletPayError} If an invalid network is provided.
   */
   constructor (config) {
@@ -48,8 +72,16 @@ class WalletPayBitcoin extends WalletPay {
     if (!WalletPayBitcoin.networks.includes(this.network)) throw new WalletPayError('Invalid network')
 
     this._electrum_config = config.electrum || {}
+    this._outbox_config = config.outbox || {}
     this.gapLimit = config.gapLimit || 20
     this.min_block_confirm = config.min_block_confirm || 1
+    this._changePolicy = config.change_policy || {}
+    this._txOrdering = config.tx_ordering || 'bip69'
+    this._changeTypes = Transaction._parseChangeTypes(config.change_types || Transaction.CHANGE_TYPES)
+    this._coinSelection = config.coin_selection || 'bnb'
+    this._feeLimits = config.fee_limits || {}
+    this._utxoLock = config.utxo_lock || {}
+    this._spendRules = config.spend_rules || {}
     this.ready = false
     this.currency = Bitcoin
     this.keyManager = config.key_manager || null
@@ -67,6 +99,7 @@ class WalletPayBitcoin extends WalletPay {
     await this.pauseSync()
     await this.provider.close()
     await this._syncManager.close()
+    await this._outbox.close()
     await this.state.store.close()
     await this._hdWallet.close()
     await this.keyManager.close()
@@ -128,7 +161,27 @@ class WalletPayBitcoin extends WalletPay {
       currentBlock: this.latest_block,
       minBlockConfirm: this.min_block_confirm,
       store: this.store,
-      addressType: this._addressType
+      addressType: this._addressType,
+      changeTypes: this._changeTypes,
+      lockTimeout: this._utxoLock.timeout,
+      holdTimeout: this._utxoLock.psbt_timeout,
+      spendRules: this._spendRules
+    })
+
+    this._outbox = new BroadcastOutbox({
+      ...this._outbox_config,
+      store: this.store.newInstance({ name: 'broadcast-outbox' }),
+      provider: this.provider
+    })
+    await this._outbox.init()
+    for (const evt of ['queued', 'broadcast', 'confirmed']) {
+      this._outbox.on(evt, (...args) => {
+        this.emit('tx-' + evt, ...args)
+      })
+    }
+    this._outbox.on('rejected', async (txid, message) => {
+      await this._dropTx(txid)
+      this.emit('tx-rejected', txid, message)
     })
 
     this.block = new BlockCounter({ state: this.state })
@@ -159,6 +212,10 @@ class WalletPayBitcoin extends WalletPay {
 
     this.provider.on('new-block', async (block) => {
       this.block.setBlock(block)
+      this._processOutbox()
+    })
+    this.provider.on('connected', () => {
+      this._processOutbox()
     })
     await this.provider.subscribeToBlocks()
 
@@ -172,6 +229,24 @@ class WalletPayBitcoin extends WalletPay {
     return Promise.all([newBlock, electrum])
   }
 
+  // @desc rebroadcast pending transactions and drop confirmed ones from the outbox
+  async _processOutbox () {
+    try {
+      await this._outbox.process()
+    } catch (err) {
+      console.log('failed to process broadcast outbox', err)
+    }
+  }
+
+  // @desc undo a rejected transaction. Its inputs can be spent again
+  async _dropTx (txid) {
+    try {
+      await this._syncManager.dropTx(txid)
+    } catch (err) {
+      console.log('failed to drop rejected tx', txid, err)
+    }
+  }
+
   _onNewTx () {
     return new Promise((resolve) => {
       this.once('new-tx', () => resolve())
@@ -179,7 +254,7 @@ class WalletPayBitcoin extends WalletPay {
   }
 
   async _getNewAddr (config) {
-    const addrType = this._addressType
+    const addrType = config.addrType || this._addressType
     const res = await this._hdWallet.getNewAddress(config.inout, (path) => {
       return this.keyManager.pathToScriptHash(path, addrType)
     })
@@ -197,9 +272,10 @@ class WalletPayBitcoin extends WalletPay {
 
   /**
    * @description get an internal change  address
+   * @param {String} addrType script type of the address. default is the wallet address type
   **/
-  async _getInternalAddress () {
-    return this._getNewAddr({ inout: 'in' })
+  async _getInternalAddress (addrType) {
+    return this._getNewAddr({ inout: 'in', addrType })
   }
 
   /**
@@ -239,6 +315,70 @@ class WalletPayBitcoin extends WalletPay {
     return this._syncManager.getBalance(addr)
   }
 
+  /**
+  * @description List locked outputs. Outputs are locked while a transaction is sent, and until a PSBT is broadcasted
+  * @returns {Promise<Array>} outpoint, owner, locked_at and expires_at of each lock. owner is the reservation id of a transaction, or the txid of a PSBT
+  */
+  listLockedUtxos () {
+    return this._syncManager.listLockedUtxo()
+  }
+
+  /**
+  * @description Release the lock of an output, so it can be spent again
+  * @param {String} outpoint locked output, txid:index
+  * @returns {Promise<boolean>} false if the output was not locked
+  */
+  async releaseLock (outpoint) {
+    const [point] = Transaction.parseInputs([outpoint])
+    return this._syncManager.releaseLock(point)
+  }
+
+  /**
+  * @description List unspent outputs of the wallet
+  * @param {Object} opts options
+  * @param {Number} [opts.minConf=0] min confirmations. 0 includes outputs in the mempool
+  * @param {Number} [opts.maxConf] max confirmations
+  * @param {String} [opts.address] only outputs of this address
+  * @param {boolean} [opts.includeLocked=false] include outputs that are locked for a transaction
+  * @param {boolean} [opts.includeFrozen=false] include frozen outputs
+  * @returns {Promise<Array>} outputs with txid, index, outpoint, value, address, path, script_type, height,
+  * confirmations, locked, frozen and change
+  */
+  listUnspent (opts = {}) {
+    return this._syncManager.listUnspent(opts)
+  }
+
+  /**
+  * @description Freeze an unspent output. Frozen outputs are never selected for spending,
+  * and are shown as frozen in getBalance. Used for suspicious deposits and dust attacks
+  * @param {String} outpoint output to freeze, txid:index
+  * @param {String?} reason why the output is frozen
+  * @returns {Promise<Object>} outpoint, reason and frozen_at
+  */
+  async freezeUtxo (outpoint, reason) {
+    const [point] = Transaction.parseInputs([outpoint])
+    return this._syncManager.freezeUtxo(point, reason)
+  }
+
+  /**
+  * @description Allow a frozen output to be spent again
+  * @param {String} outpoint frozen output, txid:index
+  * @returns {Promise<boolean>} false if the output was not frozen
+  */
+  async unfreezeUtxo (outpoint) {
+    const [point] = Transaction.parseInputs([outpoint])
+    return this._syncManager.unfreezeUtxo(point)
+  }
+
+  /**
+  * @description List frozen outputs that are unspent
+  * @param {String?} addr only outputs of this address
+  * @returns {Promise<Array>} outputs with txid, index, value, address, outpoint, reason and frozen_at
+  */
+  listFrozenUtxos (addr) {
+    return this._syncManager.listFrozenUtxo(addr)
+  }
+
   /**
   * Sync transactions
   * @param {Object} opts - Options
@@ -263,29 +403,56 @@ class WalletPayBitcoin extends WalletPay {
     })
   }
 
-  // @desc send transaction
-  // @param {Object} opts - options
-  // @param {Object} outgoing - transaction details
-  // @param {String} outgoing.address - destination address
-  // @param {String} outgoing.amount - amount to send
-  // @param {String} outgoing.unit - unit of amount
-  // @param {String} outgoing.fee - fee to pay in sat/vbyte. example: 10,
-  sendTransaction (opts, outgoing) {
+  _newTransaction (TxType = Transaction) {
+    return new TxType({
+      network: this.network,
+      addressType: this._addressType,
+      changeTypes: this._changeTypes,
+      changePolicy: this._changePolicy,
+      ordering: this._txOrdering,
+      strategy: this._coinSelection,
+      feeLimits: this._feeLimits,
+      provider: this.provider,
+      keyManager: this.keyManager,
+      getInternalAddress: this._getInternalAddress.bind(this),
+      syncManager: this._syncManager,
+      outbox: this._outbox
+    })
+  }
+
+  // @desc mark a transaction as replaced and stop broadcasting it
+  async _replaceTx (txid, newTxid) {
+    await this._outbox.remove(txid)
+    return this._syncManager.replaceTx(txid, newTxid)
+  }
+
+  /**
+  * @description broadcast a transaction and resolve when it is seen in the mempool
+  * @param {function} send function that broadcasts a transaction
+  * @param {function?} onMempool called before resolving, once the tx is in the mempool
+  * @returns {Promise} promise with broadcasted function for listening to broadcast
+  */
+  _sendAndWatch (send, onMempool) {
     let notify
     const p = new Promise((resolve, reject) => {
-      const tx = new Transaction({
-        network: this.network,
-        provider: this.provider,
-        keyManager: this.keyManager,
-        getInternalAddress: this._getInternalAddress.bind(this),
-        syncManager: this._syncManager
-      })
-
-      tx.send(outgoing).then((sent) => {
+      send().then((sent) => {
         if (notify) notify(sent)
         this._syncManager.watchTxMempool(sent.txid)
-        this._syncManager.on('tx:mempool:' + sent.txid, () => {
-          resolve(sent)
+        // @desc: a queued tx can still be rejected when it is broadcast again
+        const onReject = (txid, message) => {
+          if (txid !== sent.txid) return
+          this.off('tx-rejected', onReject)
+          reject(new Error('Broadcast failed: ' + message.split('\n').shift()))
+        }
+        this.on('tx-rejected', onReject)
+        this._syncManager.once('tx:mempool:' + sent.txid, async () => {
+          this.off('tx-rejected', onReject)
+          try {
+            if (onMempool) await onMempool(sent)
+            resolve(sent)
+          } catch (err) {
+            reject(err)
+          }
         })
       }).catch((err) => {
         reject(err)
@@ -298,8 +465,110 @@ class WalletPayBitcoin extends WalletPay {
     return p
   }
 
-  isValidAddress (opts, address) {
-    return this._makeRequest('blockchain.address.get_balance', [address])
+  // @desc send transaction
+  // @param {Object} opts - options
+  // @param {Object} outgoing - transaction details
+  // @param {String} outgoing.address - destination address
+  // @param {String} outgoing.amount - amount to send
+  // @param {String} outgoing.unit - unit of amount
+  // @param {Array} outgoing.outputs - list of { address, amount, unit } for paying many recipients in one tx. Replaces address and amount
+  // @param {String} outgoing.fee - fee to pay in sat/vbyte. example: 10,
+  // @param {String} outgoing.data - data for an OP_RETURN output. max 80 bytes
+  // @param {String} outgoing.dataEncoding - encoding of data: utf8 or hex. default utf8
+  // @param {Boolean} outgoing.sendAll - send all spendable coins, or outgoing.inputs, to outgoing.address without change. amount is ignored
+  // @param {Array} outgoing.inputs - outpoints (txid:index) to spend. Only these coins are used, and the tx fails if they can't cover amount + fee
+  // @param {Boolean} outgoing.subtractFee - take the fee off the amount sent, recipients receive amount - fee
+  // @param {String} outgoing.ordering - order of inputs and outputs: bip69 or random. Default is the tx_ordering config
+  // @param {String} outgoing.strategy - coin selection strategy. Default is the coin_selection config
+  // @param {Boolean} outgoing.ignoreFeeLimits - send even if the fee is above the fee_limits config
+  sendTransaction (opts, outgoing) {
+    const tx = this._newTransaction()
+    return this._sendAndWatch(() => tx.send(outgoing))
+  }
+
+  // @desc Estimate a transaction before sending. Coins are not locked and no change address is derived
+  // @param {Object} outgoing - transaction details, same as sendTransaction
+  // @returns {Promise<Object>} inputs, vSize, fee, feeRate, change, amount and totalSpent
+  quoteTransaction (outgoing) {
+    const tx = this._newTransaction()
+    return tx.quote(outgoing)
+  }
+
+  // @desc Replace an unconfirmed transaction sent by this wallet with one paying a higher fee (BIP125)
+  // @param {String} txid - id of the transaction to replace
+  // @param {Number} feeRate - new fee rate in sat/vbyte. Must be higher than the original fee rate
+  // @param {Object} opts - options. opts.ignoreFeeLimits: send even if the fee is above the fee_limits config
+  bumpFee (txid, feeRate, opts = {}) {
+    const tx = this._newTransaction()
+    return this._sendAndWatch(() => tx.bumpFee(txid, feeRate, opts), (sent) => {
+      return this._replaceTx(txid, sent.txid)
+    })
+  }
+
+  // @desc Cancel an unconfirmed transaction sent by this wallet by spending its inputs back to a new internal address (BIP125)
+  // @param {String} txid - id of the transaction to cancel
+  // @param {Number} feeRate - fee rate in sat/vbyte. Must be higher than the original fee rate
+  // @param {Object} opts - options. opts.ignoreFeeLimits: send even if the fee is above the fee_limits config
+  cancelTransaction (txid, feeRate, opts = {}) {
+    const tx = this._newTransaction()
+    return this._sendAndWatch(() => tx.cancel(txid, feeRate, opts), (sent) => {
+      return this._replaceTx(txid, sent.txid)
+    })
+  }
+
+  // @desc Speed up an unconfirmed transaction by spending the wallet outputs from it (child-pays-for-parent)
+  // @param {String} txid - id of the parent transaction
+  // @param {Number} feeRate - target fee rate in sat/vbyte for the parent + child package
+  // @param {Object} opts - options. opts.ignoreFeeLimits: send even if the fee is above the fee_limits config
+  accelerateTransaction (txid, feeRate, opts = {}) {
+    const tx = this._newTransaction(CpfpTransaction)
+    return this._sendAndWatch(() => tx.accelerate(txid, feeRate, opts))
+  }
+
+  // @desc Merge many small coins into one internal output, so later payments need fewer inputs. Best used when fee rates are low
+  // @param {Object} opts - options
+  // @param {Number} opts.feeRate - fee rate in sat/vbyte
+  // @param {Number} opts.maxInputs - max number of coins to merge. default 100
+  // @param {Number} opts.minValue - coins below this value in sats are left out
+  // @param {String} opts.address - destination address. default is a new internal address
+  // @param {Number} opts.maxFeePercent - fails if the fee is more than this percentage of the consolidated value. default 5
+  // @param {Boolean} opts.dryRun - return inputs, vSize, fee, amount, feePercent and allowed without sending
+  consolidateUtxos (opts = {}) {
+    const tx = this._newTransaction(ConsolidateTransaction)
+    if (opts.dryRun) return tx.consolidate(opts)
+    return this._sendAndWatch(() => tx.consolidate(opts))
+  }
+
+  // @desc Create an unsigned PSBT (BIP174) for signing outside of the wallet. Selected coins stay locked for the PSBT
+  // @param {Object} outgoing - transaction details, same as sendTransaction
+  // @returns {Promise<String>} base64 PSBT
+  createPsbt (outgoing) {
+    const tx = this._newTransaction(PsbtTransaction)
+    return tx.createPsbt(outgoing)
+  }
+
+  // @desc Finalize a signed PSBT created by createPsbt
+  // @param {String} psbt - base64 PSBT
+  // @returns {Promise<Object>} txid and hex of the final transaction
+  finalizePsbt (psbt) {
+    const tx = this._newTransaction(PsbtTransaction)
+    return tx.finalizePsbt(psbt)
+  }
+
+  // @desc Finalize and broadcast a signed PSBT created by createPsbt
+  // @param {String} psbt - base64 PSBT
+  broadcastPsbt (psbt) {
+    const tx = this._newTransaction(PsbtTransaction)
+    return this._sendAndWatch(() => tx.broadcastPsbt(psbt))
+  }
+
+  // @desc Validate an address for the wallet network, without connecting to a node
+  // @param {Object} opts - options
+  // @param {String} address - bitcoin address
+  // @returns {Promise<String|false>} address type: p2pkh, p2sh, p2wpkh, p2wsh or p2tr. false if the address is not valid
+  async isValidAddress (opts, address) {
+    if (address === undefined && typeof opts === 'string') address = opts
+    return BitcoinAddress.getType(address, this.network)
   }
 
   static parsePath (path) {
@@ -0,0 +1,79 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+const test = require('brittle')
+const Btc = require('../src/currency.js')
+const CoinSelect = require('../src/coin-select.js')
+
+// p2wpkh input: 68 vbytes
+function coins (values) {
+  return values.map((value, i) => {
+    return {
+      txid: i.toString(16).padStart(64, '0'),
+      index: 0,
+      value: new Btc(value, 'base'),
+      witness_hex: '0014' + '11'.repeat(20)
+    }
+  })
+}
+const sats = (utxo) => utxo.map(({ value }) => +value.toBaseUnit()).sort((a, b) => a - b)
+
+test('CoinSelect', async (t) => {
+  test('effective value', async (t) => {
+    const eff = CoinSelect.effectiveValues(coins([10000, 500]), 10, 1)
+    t.ok(eff.length === 1, 'output worth less than its fee is left out')
+    t.ok(eff[0].effective === 10000 - 680, 'value minus fee to spend at fee rate')
+  })
+
+  test('branch and bound finds input set without change', async (t) => {
+    const utxo = coins([5000, 12000, 25000, 40000, 100000, 33000, 61000])
+    const res = CoinSelect.select(utxo, { target: 63000, feeRate: 10, baseVsize: 42, costOfChange: 1000, minChange: 900 })
+    t.alike(sats(res), [25000, 40000], 'exact match')
+  })
+
+  test('knapsack when there is no exact match', async (t) => {
+    const utxo = coins([5000, 12000, 25000, 40000])
+    const res = CoinSelect.select(utxo, { target: 30000, feeRate: 1, baseVsize: 42, costOfChange: 100, minChange: 600 })
+    const total = sats(res).reduce((sum, v) => sum + v, 0)
+    t.ok(total - res.length * 68 - 42 >= 30000 + 600, 'pays for amount, fee and change')
+  })
+
+  test('named strategies', async (t) => {
+    const utxo = coins([5000, 12000, 25000, 40000]).map((u, i) => {
+      return { ...u, height: 100 - i, address: i % 2 ? 'a' : 'b' }
+    })
+    const opts = { target: 20000, feeRate: 1, baseVsize: 42 }
+    t.alike(sats(CoinSelect.select(utxo, opts, 'largest-first')), [40000], 'largest first')
+    t.alike(sats(CoinSelect.select(utxo, opts, 'smallest-first')), [5000, 12000, 25000], 'smallest first')
+    t.alike(sats(CoinSelect.select(utxo, opts, 'oldest-first')), [40000], 'oldest first')
+    t.alike(sats(CoinSelect.select(utxo, opts, 'single-address')), [5000, 25000], 'outputs of one address')
+    t.alike(sats(CoinSelect.select(utxo, opts, 'consolidation')), [5000, 12000, 25000, 40000], 'consolidation spends small outputs')
+  })
+
+  test('custom strategy', async (t) => {
+    CoinSelect.register('first-coin', (coins) => coins.slice(0, 1))
+    const res = CoinSelect.select(coins([5000, 12000]), { target: 1000, feeRate: 1 }, 'first-coin')
+    t.alike(sats(res), [5000], 'registered selector is used')
+    try {
+      CoinSelect.select(coins([5000]), { target: 1000, feeRate: 1 }, 'unknown')
+      t.fail('unknown strategy is accepted')
+    } catch (err) {
+      t.ok(err.message.includes('Unknown coin selection strategy'), 'unknown strategy fails')
+    }
+  })
+
+  test('not enough funds', async (t) => {
+    const res = CoinSelect.select(coins([5000, 12000]), { target: 30000, feeRate: 1, baseVsize: 42 })
+    t.ok(res === null, 'no selection')
+  })
+})
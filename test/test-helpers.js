@@ -99,6 +99,31 @@ function promiseSteps (arr) {
   return pass
 }
 
+/**
+  * @description Create a new wallet funded by the regtest node
+  * @param {Array<Number>} opts.amounts btc sent to the wallet, one coin each. default [0.1]
+  * @param {boolean} opts.newAddress send each coin to a new address
+  * @param {Number} opts.confirm blocks mined after funding. 0 leaves the coins in the mempool. default 1
+  * @return {Promise<{regtest, btcPay, addr, nodeAddr}>} addr is the last funded address, nodeAddr an address of the node
+*/
+async function fundedWallet (opts = {}) {
+  const { amounts = [0.1], newAddress = false, confirm = 1 } = opts
+  const regtest = await regtestNode()
+  const btcPay = await activeWallet({ newWallet: true })
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  let addr = await btcPay.getNewAddress()
+  for (const [i, amount] of amounts.entries()) {
+    if (newAddress && i > 0) addr = await btcPay.getNewAddress()
+    await regtest.sendToAddress({ address: addr.address, amount })
+    await btcPay._onNewTx()
+  }
+  if (confirm) {
+    await regtest.mine(confirm)
+    await btcPay._onNewTx()
+  }
+  return { regtest, btcPay, addr, nodeAddr }
+}
+
 function rmDataDir () {
   fs.rmSync(_datadir, { recursive: true, force: true })
 }
@@ -112,6 +137,7 @@ module.exports = {
   Electrum,
   newElectrum,
   activeWallet,
+  fundedWallet,
   regtestNode,
   pause,
   promiseSteps,
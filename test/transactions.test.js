@@ -14,11 +14,14 @@
 const test = require('brittle')
 const {
   activeWallet,
+  fundedWallet,
   regtestNode,
   pause,
   BitcoinCurrency
 } = require('./test-helpers.js')
 const Transaction = require ('../src/transaction.js')
+const { FeeLimitError } = require('../index.js')
+const bitcoin = require('bitcoinjs-lib')
 
 
 async function sendTx(btc, data) {
@@ -69,6 +72,7 @@ test.test('sendTransaction', { timeout: 600000 }, async function (t) {
       const eTx = await btcPay.provider._getTransaction(res.txid)
       t.ok(eTx.hex === res.hex, 'tx hex is same')
       t.ok(eTx.vsize === res.vSize, 'vsize is same')
+      t.ok(res.fee >= eTx.vsize * data.fee, 'fee pays for the signed tx at the requested fee rate')
       t.ok(eTx.vin.length === res.utxo.length, 'same number of vin')
       t.ok(res.vout.length === eTx.vout.length, 'same number of vout')
       eTx.vin.forEach((vin, i) => {
@@ -81,8 +85,8 @@ test.test('sendTransaction', { timeout: 600000 }, async function (t) {
         t.ok(eVout.n === i, 'vout index is same')
         t.ok(new BitcoinCurrency(vout.value, 'base').eq(new BitcoinCurrency(eVout.value, 'main')), 'vout value is same: ' + eVout.value)
       })
-      const eOut = eTx.vout[0]
-      const eChange = eTx.vout[1]
+      const eOut = eTx.vout[1 - res.changeIndex]
+      const eChange = eTx.vout[res.changeIndex]
       t.ok(eOut.scriptPubKey.address === nodeAddr, 'output address is same')
       t.ok(eChange.scriptPubKey.address === res.changeAddress.address, 'change address is same')
       t.ok(res, 'transaction sent')
@@ -205,7 +209,7 @@ test.test('Spending whole UTXO for amount, not enough to pay for fees', { timeou
   t.fail('should have thrown error')
 })
 
-test.solo('perform 2 transactions from 1 utxo before confirmation. Spending from change address', { timeout: 600000 }, async function (t) {
+test.test('perform 2 transactions from 1 utxo before confirmation. Spending from change address', { timeout: 600000 }, async function (t) {
   // We create a new wallet, send 2 utxo. we attempt to spend 1 whole utxo with amount
   // In order to pay for the fee, we must utilise the second utxo to pay for fees
   const regtest = await regtestNode()
@@ -245,51 +249,563 @@ test.solo('perform 2 transactions from 1 utxo before confirmation. Spending from
   await btcPay.destroy()
 })
 
-//
-//
-// Uncomment the transaction below to keep doing TX
-//
-//
+test.test('sendTransaction: send in parallel without spending the same coins', { timeout: 600000 }, async function (t) {
+  const { btcPay, nodeAddr } = await fundedWallet({ amounts: [0.01, 0.01, 0.01], newAddress: true })
+
+  const sends = [0, 1, 2].map(() => btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.005, unit: 'main', fee: 2 }))
+  const res = await Promise.all(sends)
+  const inputs = res.flatMap(({ hex }) => bitcoin.Transaction.fromHex(hex).ins.map((i) => Buffer.from(i.hash).reverse().toString('hex') + ':' + i.index))
+  t.ok(inputs.length === 3 && new Set(inputs).size === 3, 'each send spends its own coin')
+  t.ok((await btcPay.listLockedUtxos()).length === 0, 'locks are released after broadcast')
+
+  try {
+    await btcPay.sendTransaction({}, { address: nodeAddr, amount: 1, unit: 'main', fee: 2 })
+    t.fail('send should fail')
+  } catch (err) {
+    t.ok(err.message.includes('insufficient funds'), 'failed send does not block later sends')
+  }
+  await btcPay.destroy()
+})
+
+test.test('sendTransaction: unconfirmed coins from other wallets are not spent', { timeout: 600000 }, async function (t) {
+  const { regtest, btcPay, nodeAddr } = await fundedWallet({ confirm: 0 })
+
+  try {
+    await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.01, unit: 'main', fee: 2 })
+    t.fail('unconfirmed coin should not be spent')
+  } catch (err) {
+    t.ok(err.message.includes('insufficient funds') || err.message.includes('Insufficient funds'), 'unconfirmed coin is skipped')
+  }
+
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.01, unit: 'main', fee: 2 })
+  const change = (await btcPay.listUnspent()).find((u) => u.change)
+  t.ok(change && change.confirmations === 0, 'unconfirmed change')
+  const sent = await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.01, unit: 'main', fee: 2 })
+  t.ok(sent.txid, 'unconfirmed change is spent')
+  await btcPay.destroy()
+})
+
+test.test('quoteTransaction: estimate without locking coins', { timeout: 600000 }, async function (t) {
+  const { btcPay, nodeAddr } = await fundedWallet()
+  const data = { address: nodeAddr, amount: 0.01, unit: 'main', fee: 10 }
+  const quote = await btcPay.quoteTransaction(data)
+  const again = await btcPay.quoteTransaction(data)
+  t.ok(quote.inputs.length === 1, 'quote selects inputs')
+  t.ok(again.inputs[0].txid === quote.inputs[0].txid, 'coins are not locked by quote')
+  t.ok(quote.fee === Math.ceil(quote.vSize * 10), 'fee is vsize times fee rate')
+  const { attempt } = await sendTx(btcPay, data)
+  t.ok(attempt.utxo[0].txid === quote.inputs[0].txid, 'send uses quoted inputs')
+  t.ok(Math.abs(attempt.vSize - quote.vSize) <= 1, 'quoted vsize matches sent tx')
+  t.ok(Math.abs(attempt.fee - quote.fee) <= 10, 'quoted fee matches sent tx')
+  await btcPay.destroy()
+})
+
+test.test('quoteTransaction: change policy adds small change to the fee', { timeout: 600000 }, async function (t) {
+  const { btcPay, nodeAddr } = await fundedWallet()
+  const outgoing = { address: nodeAddr, amount: 9990000, unit: 'base', fee: 5 }
+  let quote = await btcPay.quoteTransaction(outgoing)
+  t.ok(quote.changePolicy.decision === 'change', 'change output with default policy')
+  t.ok(quote.change > 0, 'change is returned to wallet')
+
+  btcPay._changePolicy = { threshold: 20000 }
+  quote = await btcPay.quoteTransaction(outgoing)
+  t.ok(quote.changePolicy.decision === 'below_threshold', 'change below threshold')
+  t.ok(quote.change === 0, 'no change output')
+  t.ok(quote.fee === 10000000 - 9990000, 'leftover is added to the fee')
+  t.ok(quote.changePolicy.dropped > 0, 'dropped value is reported')
+
+  btcPay._changePolicy = { avoid_change: true, long_term_fee_rate: 200 }
+  quote = await btcPay.quoteTransaction(outgoing)
+  t.ok(quote.changePolicy.decision === 'avoided', 'change avoided when it costs more than it is worth')
+  t.ok(quote.changePolicy.dropped < quote.changePolicy.costOfChange, 'dropped value is below cost of change')
+  await btcPay.destroy()
+})
+
+test.test('sendTransaction: fee limits', { timeout: 600000 }, async function (t) {
+  const { btcPay, nodeAddr } = await fundedWallet()
+  const outgoing = { address: nodeAddr, amount: 10000, unit: 'base', fee: 50 }
+
+  const limits = [
+    [{ max_fee_rate: 20 }, 'max_fee_rate'],
+    [{ max_fee: 1000 }, 'max_fee'],
+    [{ max_fee_percent: 10 }, 'max_fee_percent']
+  ]
+  for (const [feeLimits, limit] of limits) {
+    btcPay._feeLimits = feeLimits
+    try {
+      await btcPay.sendTransaction({}, outgoing)
+      t.fail('fee above ' + limit + ' is accepted')
+    } catch (err) {
+      t.ok(err instanceof FeeLimitError, 'typed fee limit error')
+      t.ok(err.limit === limit, 'error names the limit: ' + limit)
+    }
+  }
+
+  t.comment('max_fee_rate checks the requested rate. max_fee checks the total fee, with change added to the fee')
+  const dropChange = { address: nodeAddr, amount: 9990000, unit: 'base', fee: 20 }
+  btcPay._changePolicy = { threshold: 10000 }
+  btcPay._feeLimits = { max_fee_rate: 20 }
+  const quote = await btcPay.quoteTransaction(dropChange)
+  t.ok(quote.changePolicy.dropped > 0 && quote.fee / quote.vSize > 20, 'dropped change raises the fee above the requested rate')
+  btcPay._feeLimits = { max_fee_rate: 20, max_fee: quote.fee }
+  t.ok((await btcPay.quoteTransaction(dropChange)).fee === quote.fee, 'requested rate and total fee at the limits are accepted')
+  btcPay._feeLimits = { max_fee: quote.fee - 1 }
+  try {
+    await btcPay.quoteTransaction(dropChange)
+    t.fail('total fee above max_fee is accepted')
+  } catch (err) {
+    t.ok(err.limit === 'max_fee' && err.value === quote.fee, 'max_fee is checked against the total fee')
+    t.ok(err.message.includes('total fee: ' + quote.fee + ' sats'), 'error names the total fee')
+  }
+  btcPay._feeLimits = { max_fee_rate: 19 }
+  try {
+    await btcPay.quoteTransaction(dropChange)
+    t.fail('fee rate above max_fee_rate is accepted')
+  } catch (err) {
+    t.ok(err.message.includes('requested fee rate: 20 sat/vbyte'), 'error names the requested fee rate')
+  }
+  btcPay._changePolicy = {}
+  btcPay._feeLimits = {}
+
+  const sent = await btcPay.sendTransaction({}, { ...outgoing, ignoreFeeLimits: true })
+  t.ok(sent.txid, 'fee limits are skipped with ignoreFeeLimits')
+  await btcPay.destroy()
+})
+
+test.test('sendTransaction: pay multiple recipients in one tx', { timeout: 600000 }, async function (t) {
+  const { regtest, btcPay } = await fundedWallet()
+  const outputs = []
+  for (let i = 0; i < 5; i++) {
+    const { result: nodeAddr } = await regtest.getNewAddress()
+    outputs.push({ address: nodeAddr, amount: 10000 * (i + 1) })
+  }
+  const { sent, attempt } = await sendTx(btcPay, { outputs, unit: 'base', fee: 5 })
+  t.ok(sent.amount.eq(new BitcoinCurrency(150000, 'base')), 'amount is total of all outputs')
+  t.ok(attempt.vout.length === outputs.length + 1, 'one output per recipient and change')
+  const eTx = await btcPay.provider._getTransaction(attempt.txid)
+  outputs.forEach((out, i) => {
+    const eOut = eTx.vout[i]
+    t.ok(eOut.scriptPubKey.address === out.address, 'recipient address matches')
+    t.ok(new BitcoinCurrency(eOut.value, 'main').eq(new BitcoinCurrency(out.amount, 'base')), 'recipient amount matches')
+    t.ok(new BitcoinCurrency(out.amount, 'base').eq(sent.to_address_meta[i].amount), 'to_address_meta shows recipient amount')
+  })
+  t.ok(sent.to_address_meta.at(-1).own_address, 'change is own address')
+  await btcPay.destroy()
+})
+
+test.test('sendTransaction: input and output ordering', { timeout: 600000 }, async function (t) {
+  const { regtest, btcPay } = await fundedWallet({ amounts: [0.01, 0.01, 0.01], newAddress: true })
+  const outputs = []
+  for (let i = 0; i < 3; i++) {
+    const { result: nodeAddr } = await regtest.getNewAddress()
+    outputs.push({ address: nodeAddr, amount: 900000 - i * 100000 })
+  }
+
+  let { attempt } = await sendTx(btcPay, { outputs, unit: 'base', fee: 5, ordering: 'bip69' })
+  let eTx = await btcPay.provider._getTransaction(attempt.txid)
+  const vin = eTx.vin.map(({ txid, vout }) => [Buffer.from(txid, 'hex'), vout])
+  t.ok(vin.every((v, i) => i === 0 || Buffer.compare(vin[i - 1][0], v[0]) || vin[i - 1][1] < v[1]), 'inputs in bip69 order')
+  t.ok(eTx.vout.every((v, i) => i === 0 || eTx.vout[i - 1].value <= v.value), 'outputs in bip69 order')
+  t.ok(eTx.vout[attempt.changeIndex].scriptPubKey.address === attempt.changeAddress.address, 'change index points to change')
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+
+  ;({ attempt } = await sendTx(btcPay, { outputs: outputs.slice(0, 1), unit: 'base', fee: 5, ordering: 'random' }))
+  eTx = await btcPay.provider._getTransaction(attempt.txid)
+  t.ok(eTx.vout[attempt.changeIndex].scriptPubKey.address === attempt.changeAddress.address, 'change index points to change in random order')
+  t.ok(eTx.hex === attempt.hex, 'signed after ordering')
+
+  try {
+    await sendTx(btcPay, { outputs, unit: 'base', fee: 5, ordering: 'sorted' })
+    t.fail('unknown ordering is accepted')
+  } catch (err) {
+    t.ok(err.message.includes('Invalid ordering'), 'unknown ordering fails')
+  }
+  await btcPay.destroy()
+})
+
+test.test('sendTransaction: change uses the payment script type', { timeout: 600000 }, async function (t) {
+  const { regtest, btcPay } = await fundedWallet()
+  const taproot = 'bcrt1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqc8gma6'
+  const legacy = 'mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn'
+
+  const sent = await btcPay.sendTransaction({}, { address: taproot, amount: 10000, unit: 'base', fee: 3 })
+  let eTx = await btcPay.provider._getTransaction(sent.txid)
+  const change = eTx.vout.find((vout) => vout.scriptPubKey.address !== taproot)
+  t.ok(change.scriptPubKey.type === 'witness_v1_taproot', 'change of a p2tr payment is p2tr')
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  const coins = await btcPay.listUnspent()
+  t.ok(coins.length === 1 && coins[0].outpoint === sent.txid + ':' + change.n, 'p2tr change is a coin of the wallet')
+
+  const { txid } = await btcPay.sendTransaction({}, { address: legacy, amount: 10000, unit: 'base', fee: 3 })
+  eTx = await btcPay.provider._getTransaction(txid)
+  t.ok(eTx.vin.some((vin) => vin.txid === sent.txid && vin.vout === change.n), 'p2tr change is spent')
+  const change2 = eTx.vout.find((vout) => vout.scriptPubKey.address !== legacy)
+  t.ok(change2.scriptPubKey.type === 'witness_v0_keyhash', 'change of a p2pkh payment has the wallet script type')
+  await btcPay.destroy()
+})
+
+test.test('sendTransaction: pay p2tr, p2wsh, p2pkh and p2sh addresses', { timeout: 600000 }, async function (t) {
+  const { btcPay } = await fundedWallet()
+  const outputs = [
+    'bcrt1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqc8gma6',
+    'bcrt1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qzf4jry',
+    'mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn',
+    '2MzQwSSnBHWHqSAqtTVQ6v47XtaisrJa1Vc'
+  ].map((address) => {
+    return { address, amount: 10000 }
+  })
+  const quote = await btcPay.quoteTransaction({ outputs, unit: 'base', fee: 3 })
+  const { attempt } = await sendTx(btcPay, { outputs, unit: 'base', fee: 3 })
+  const eTx = await btcPay.provider._getTransaction(attempt.txid)
+  t.ok(Math.abs(quote.vSize - eTx.vsize) <= 1, 'estimated vsize matches for all output types')
+  t.ok(attempt.fee >= eTx.vsize * 3, 'fee pays for the signed tx')
+  outputs.forEach(({ address }) => {
+    t.ok(eTx.vout.some((vout) => vout.scriptPubKey.address === address), 'paid ' + address)
+  })
+
+  try {
+    await btcPay.sendTransaction({}, { address: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', amount: 10000, unit: 'base', fee: 3 })
+    t.fail('address of another network is accepted')
+  } catch (err) {
+    t.ok(err.message.includes('is for network bitcoin'), 'wrong network address is rejected before building the tx')
+  }
+  await btcPay.destroy()
+})
+
+test.test('sendTransaction: OP_RETURN data output', { timeout: 600000 }, async function (t) {
+  const { btcPay, nodeAddr } = await fundedWallet()
+  const data = 'ab'.repeat(32)
+  const sent = await btcPay.sendTransaction({}, { address: nodeAddr, amount: 10000, unit: 'base', fee: 5, data, dataEncoding: 'hex' })
+  const eTx = await btcPay.provider._getTransaction(sent.txid)
+  const opReturn = eTx.vout.find((vout) => vout.scriptPubKey.type === 'nulldata')
+  t.ok(opReturn, 'tx has OP_RETURN output')
+  t.ok(opReturn.value === 0, 'OP_RETURN output has no value')
+  const txs = await btcPay.getTransactions({})
+  const entry = txs.find((tx) => tx.txid === sent.txid)
+  t.ok(entry.op_return[0] === data, 'history shows OP_RETURN payload')
+
+  try {
+    await btcPay.sendTransaction({}, { address: nodeAddr, amount: 10000, unit: 'base', fee: 5, data: 'a'.repeat(81) })
+    t.fail('should reject data bigger than 80 bytes')
+  } catch (err) {
+    t.ok(err.message.includes('80 bytes'), 'rejects data bigger than 80 bytes')
+  }
+  await btcPay.destroy()
+})
+
+test.test('sendTransaction: sendAll drains wallet without change', { timeout: 600000 }, async function (t) {
+  const { btcPay, nodeAddr } = await fundedWallet({ amounts: [0.1, 0.05] })
+  const { sent, attempt } = await sendTx(btcPay, { address: nodeAddr, sendAll: true, fee: 5 })
+  t.ok(attempt.utxo.length === 2, 'all utxo spent')
+  t.ok(attempt.vout.length === 1, 'no change output')
+  t.ok(attempt.changeAddress === null, 'no change address')
+  t.ok(sent.amount.toNumber() + attempt.fee === 15000000, 'amount is total minus fee')
+  await btcPay.destroy()
+})
+
+test.test('sendTransaction: spend only the chosen inputs', { timeout: 600000 }, async function (t) {
+  const { btcPay, nodeAddr } = await fundedWallet({ amounts: [0.1, 0.05] })
+  const coins = []
+  await btcPay._syncManager._unspent.vout.entries((utxo) => coins.push(utxo))
+  const small = coins.find((utxo) => utxo.value.toNumber() === 0.05)
+  const point = small.txid + ':' + small.index
+
+  try {
+    await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.06, unit: 'main', inputs: [point], fee: 5 })
+    t.fail('chosen inputs can not pay amount')
+  } catch (err) {
+    t.ok(err.message.includes('Selected inputs can not cover amount + fee'), 'fails when chosen inputs are not enough')
+  }
+
+  try {
+    await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.01, unit: 'main', inputs: ['00'.repeat(32) + ':0'], fee: 5 })
+    t.fail('unknown outpoint is spent')
+  } catch (err) {
+    t.ok(err.message.includes('Outpoint not found'), 'fails for outpoint not in wallet')
+  }
+
+  const { attempt } = await sendTx(btcPay, { address: nodeAddr, amount: 0.01, unit: 'main', inputs: [point], fee: 5 })
+  t.ok(attempt.utxo.length === 1, 'one input spent')
+  t.ok(attempt.utxo[0].txid === small.txid && attempt.utxo[0].index === small.index, 'chosen input spent')
+  await btcPay.destroy()
+})
+
+test.test('freezeUtxo: frozen coins are not spent', { timeout: 600000 }, async function (t) {
+  const { regtest, btcPay, nodeAddr } = await fundedWallet({ amounts: [0.1, 0.00001] })
+  const coins = []
+  await btcPay._syncManager._unspent.vout.entries((utxo) => coins.push(utxo))
+  const dust = coins.find((utxo) => utxo.value.toNumber() === 0.00001)
+  const point = dust.txid + ':' + dust.index
+
+  const frozen = await btcPay.freezeUtxo(point, 'dust attack')
+  t.ok(frozen.reason === 'dust attack', 'freeze reason is kept')
+  const list = await btcPay.listFrozenUtxos()
+  t.ok(list.length === 1 && list[0].outpoint === point, 'frozen coin is listed')
+  const bal = await btcPay.getBalance()
+  t.ok(bal.frozen.toNumber() === 0.00001, 'frozen balance')
+
+  try {
+    await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.00001, unit: 'main', inputs: [point], fee: 1 })
+    t.fail('frozen coin is spent')
+  } catch (err) {
+    t.ok(err.message.includes('Outpoint is frozen'), 'frozen coin can not be chosen as input')
+  }
+
+  const { attempt } = await sendTx(btcPay, { address: nodeAddr, sendAll: true, fee: 5 })
+  t.ok(!attempt.utxo.some((utxo) => utxo.txid === dust.txid && utxo.index === dust.index), 'sendAll skips frozen coin')
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+
+  t.ok(await btcPay.unfreezeUtxo(point), 'coin is unfrozen')
+  t.ok((await btcPay.listFrozenUtxos()).length === 0, 'no frozen coins')
+  await btcPay.destroy()
+})
+
+test.test('sendTransaction: subtractFee takes fee off the amount sent', { timeout: 600000 }, async function (t) {
+  const { btcPay, nodeAddr } = await fundedWallet()
+  const { sent, attempt } = await sendTx(btcPay, { address: nodeAddr, amount: 20000, unit: 'base', subtractFee: true, fee: 5 })
+  t.ok(attempt.recipients[0].value === 20000 - attempt.fee, 'recipient pays the fee')
+  t.ok(+attempt.totalSpent.toBaseUnit() === 20000, 'wallet spends only the amount')
+  t.ok(+sent.amount.toBaseUnit() === 20000 - attempt.fee, 'tx amount is amount minus fee')
+  const eTx = await btcPay.provider._getTransaction(attempt.txid)
+  const out = eTx.vout.find((vout) => vout.scriptPubKey.address === nodeAddr)
+  t.ok(Math.round(out.value * 1e8) === 20000 - attempt.fee, 'recipient output is amount minus fee')
+
+  try {
+    await btcPay.sendTransaction({}, { address: nodeAddr, amount: 600, unit: 'base', subtractFee: true, fee: 5 })
+    t.fail('output below dust is sent')
+  } catch (err) {
+    t.ok(err.message.includes('dust limit'), 'fails when amount minus fee is dust')
+  }
+  await btcPay.destroy()
+})
+
+test.test('consolidateUtxos: merge small coins into one output', { timeout: 600000 }, async function (t) {
+  const { regtest, btcPay } = await fundedWallet({ amounts: [0.001, 0.002, 0.003, 0.004, 0.005], newAddress: true })
+
+  const preview = await btcPay.consolidateUtxos({ feeRate: 2, maxInputs: 4, dryRun: true })
+  t.ok(preview.inputs.length === 4, 'max inputs')
+  t.ok(!preview.inputs.some(({ value }) => value.toNumber() === 0.005), 'largest coin is left out')
+  t.ok((await btcPay.listUnspent()).length === 5, 'dry run does not send')
+  t.ok(preview.allowed && !preview.exceedsMaxFeePercent, 'preview can be sent')
+  const refused = await btcPay.consolidateUtxos({ feeRate: 2, maxInputs: 4, maxFeePercent: 0.1, dryRun: true })
+  t.ok(!refused.allowed && refused.exceedsMaxFeePercent, 'preview above max fee share is not allowed')
+
+  try {
+    await btcPay.consolidateUtxos({ feeRate: 2, maxInputs: 4, maxFeePercent: 0.1 })
+    t.fail('consolidation with high fee share is sent')
+  } catch (err) {
+    t.ok(err.message.includes('Consolidation fee is'), 'fails when fee is above max share')
+  }
+  t.ok((await btcPay.listLockedUtxos()).length === 0, 'refused consolidation does not lock coins')
+
+  const sent = await btcPay.consolidateUtxos({ feeRate: 2, maxInputs: 4 })
+  const eTx = await btcPay.provider._getTransaction(sent.txid)
+  t.ok(eTx.vin.length === 4 && eTx.vout.length === 1, 'four coins merged into one output')
+  t.ok(eTx.vsize === preview.vSize, 'preview has size of sent tx')
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  t.ok((await btcPay.listUnspent()).length === 2, 'wallet has fewer coins')
+  await btcPay.destroy()
+})
+
+test.test('createPsbt and broadcastPsbt: sign outside of the wallet', { timeout: 600000 }, async function (t) {
+  const { btcPay, nodeAddr } = await fundedWallet()
+  const unsigned = await btcPay.createPsbt({ address: nodeAddr, amount: 0.01, unit: 'main', fee: 5 })
+  const psbt = bitcoin.Psbt.fromBase64(unsigned, { network: bitcoin.networks.regtest })
+  t.ok(psbt.data.inputs.every((input) => !input.partialSig), 'psbt is not signed')
+  t.ok(psbt.data.inputs.every((input) => input.bip32Derivation.length === 1), 'psbt has derivation paths')
+
+  try {
+    await btcPay.createPsbt({ address: nodeAddr, amount: 0.01, unit: 'main', fee: 5 })
+    t.fail('coins should be locked for first psbt')
+  } catch (err) {
+    t.ok(err.message.includes('insufficient funds') || err.message.includes('Insufficient funds'), 'coins are locked for first psbt')
+  }
 
- //test.solo('sweep wallet ', { timeout: 10000000 }, async (t)=>{
- // // Leave this running to keep doing transactions
- // const regtest = await regtestNode()
- // const btcPay = await activeWallet({ newWallet: true })
- // const amount = 0.1
- //
- // t.comment('funding new wallet')
- // const addr = await btcPay.getNewAddress()
- // await regtest.sendToAddress({ address: addr.address, amount })
- // const { result: nodeAddr } = await regtest.getNewAddress()
- // await regtest.mine(3)
- // await btcPay._onNewTx()
- // let bal = await btcPay.getBalance()
- // t.ok(+bal.consolidated.toMainUnit() === amount, 'balance matches')
- //
- // let x = 0
- // while ( bal.consolidated.toNumber() !== 0) {
- //   console.log(x)
- //   x++
- //   const data = {
- //     amount: 700,
- //     unit: 'base',
- //     address: nodeAddr,
- //     fee: 5,
- //     deductFee: true
- //   }
- //   t.comment('sending')
- //   let sent
- //   try {
- //     sent = await sendTx(btcPay, data)
- //     await pause(3000)
- //   } catch (err) {
- //     console.log(err)
- //   }
- //   await regtest.mine(1)
- //   await btcPay._onNewTx()
- //
- //   bal  = await btcPay.getBalance()
- //   t.comment('new balance: '+bal.consolidated.toMainUnit())
- //
- // }
- //})
+  psbt.signAllInputsHD(btcPay.keyManager.bip32)
+  const final = await btcPay.finalizePsbt(psbt.toBase64())
+  t.ok(final.hex, 'psbt finalized')
+  const sent = await btcPay.broadcastPsbt(psbt.toBase64())
+  t.ok(sent.txid === final.txid, 'broadcasted tx matches finalized psbt')
+  const stored = await btcPay._syncManager.getSentTx(sent.txid)
+  t.ok(stored.hex === final.hex, 'tx stored as sent')
+  await btcPay.destroy()
+})
+
+test.test('listLockedUtxos and releaseLock: locks of a psbt', { timeout: 600000 }, async function (t) {
+  const { btcPay, nodeAddr } = await fundedWallet()
+  const unsigned = await btcPay.createPsbt({ address: nodeAddr, amount: 0.01, unit: 'main', fee: 5 })
+  const txid = Transaction.psbtTxid(bitcoin.Psbt.fromBase64(unsigned, { network: bitcoin.networks.regtest }))
+
+  const locks = await btcPay.listLockedUtxos()
+  t.ok(locks.length === 1 && locks[0].owner === txid, 'coin is locked for the psbt')
+  t.ok(locks[0].expires_at > locks[0].locked_at, 'lock has an expiry')
+  t.ok(await btcPay.releaseLock(locks[0].outpoint), 'lock released')
+  t.ok(!(await btcPay.releaseLock(locks[0].outpoint)), 'coin is no longer locked')
+  t.ok((await btcPay.listLockedUtxos()).length === 0, 'no locked coins')
+  t.ok(!(await btcPay._syncManager.getPsbt(txid)), 'psbt removed with its lock')
+  const signed = bitcoin.Psbt.fromBase64(unsigned, { network: bitcoin.networks.regtest })
+  signed.signAllInputsHD(btcPay.keyManager.bip32)
+  try {
+    await btcPay.broadcastPsbt(signed.toBase64())
+    t.fail('psbt with released coins is broadcasted')
+  } catch (err) {
+    t.ok(err.message.includes('Unknown psbt'), 'psbt with released coins can not be broadcasted')
+  }
+
+  await btcPay.createPsbt({ address: nodeAddr, amount: 0.01, unit: 'main', fee: 5 })
+  t.ok((await btcPay.listLockedUtxos()).length === 1, 'released coin is spent by a new psbt')
+  await btcPay.destroy()
+})
+
+test.test('bumpFee: replace unconfirmed tx with higher fee', { timeout: 600000 }, async function (t) {
+  const { btcPay, nodeAddr } = await fundedWallet()
+  const data = {
+    amount: 0.02,
+    unit: 'main',
+    address: nodeAddr,
+    fee: 2
+  }
+  const sent = await btcPay.sendTransaction({}, data)
+  const original = await btcPay._syncManager.getSentTx(sent.txid)
+  const bumped = await btcPay.bumpFee(sent.txid, 20)
+  const replacement = await btcPay._syncManager.getSentTx(bumped.txid)
+  t.ok(bumped.txid !== sent.txid, 'replacement has new txid')
+  t.ok(replacement.replaces === sent.txid, 'replacement points to original tx')
+  t.ok(replacement.fee > original.fee, 'replacement pays higher fee')
+  const eTx = await btcPay.provider._getTransaction(bumped.txid)
+  t.ok(eTx.vin.every((vin) => vin.sequence === 0xfffffffd), 'inputs signal rbf')
+  const replaced = await btcPay._syncManager.getSentTx(sent.txid)
+  t.ok(replaced.replaced_by === bumped.txid, 'original marked as replaced')
+  const mempool = await btcPay._syncManager._addr.getTxHeight(0)
+  t.ok(!mempool.find((tx) => tx.txid === sent.txid), 'original removed from mempool history')
+  const bal = await btcPay.getBalance()
+  t.ok(bal.consolidated.toNumber() === 10000000 - new BitcoinCurrency(replacement.totalSpent).toNumber(), 'balance accounts for replacement only')
+  await btcPay.destroy()
+})
+
+test.test('cancelTransaction: double spend unconfirmed tx back to wallet', { timeout: 600000 }, async function (t) {
+  const { btcPay, nodeAddr } = await fundedWallet()
+  const sent = await btcPay.sendTransaction({}, {
+    amount: 0.05,
+    unit: 'main',
+    address: nodeAddr,
+    fee: 2
+  })
+  const cancel = await btcPay.cancelTransaction(sent.txid, 20)
+  const cancelTx = await btcPay._syncManager.getSentTx(cancel.txid)
+  const eTx = await btcPay.provider._getTransaction(cancel.txid)
+  t.ok(eTx.vout.length === 1, 'single output')
+  t.ok(eTx.vout[0].scriptPubKey.address === cancelTx.changeAddress.address, 'output goes to internal address')
+  const replaced = await btcPay._syncManager.getReplacedTx(sent.txid)
+  t.ok(replaced.replaced_by === cancel.txid, 'original marked replaced in history')
+  const bal = await btcPay.getBalance()
+  t.ok(bal.consolidated.toNumber() === 10000000 - cancelTx.fee, 'only the cancel fee is spent')
+  await btcPay.destroy()
+})
+
+test.test('accelerateTransaction: spend outputs of unconfirmed tx with cpfp', { timeout: 600000 }, async function (t) {
+  const { btcPay } = await fundedWallet()
+  const selfAddr = await btcPay.getNewAddress()
+  const parent = await btcPay.sendTransaction({}, {
+    amount: 0.02,
+    unit: 'main',
+    address: selfAddr.address,
+    fee: 2
+  })
+  const child = await btcPay.accelerateTransaction(parent.txid, 30)
+  const childTx = await btcPay._syncManager.getSentTx(child.txid)
+  const eParent = await btcPay.provider._getTransaction(parent.txid)
+  const eChild = await btcPay.provider._getTransaction(child.txid)
+  t.ok(childTx.parent === parent.txid, 'child points to parent')
+  t.ok(eChild.vin.every((vin) => vin.txid === parent.txid), 'child spends parent outputs')
+  t.ok(eChild.vout.length === 1, 'child has a single output')
+  const { fee: parentFee } = await btcPay._syncManager.getSentTx(parent.txid)
+  const packageRate = (parentFee + childTx.fee) / (eParent.vsize + eChild.vsize)
+  t.ok(packageRate >= 30, 'package fee rate reaches target: ' + packageRate)
+  await btcPay.destroy()
+})
+
+test.test('broadcast outbox: keep tx when node can not be reached and rebroadcast', { timeout: 600000 }, async function (t) {
+  const { regtest, btcPay, nodeAddr } = await fundedWallet()
+
+  const broadcast = btcPay.provider.broadcastTransaction
+  btcPay.provider.broadcastTransaction = () => Promise.reject(new Error('not connected'))
+  const queued = new Promise((resolve) => btcPay.once('tx-queued', resolve))
+  const sending = btcPay.sendTransaction({}, { address: nodeAddr, amount: 10000, unit: 'base', fee: 5 })
+  const txid = await queued
+  await pause(1000)
+  const entry = await btcPay._outbox.get(txid)
+  t.ok(entry.status === 'queued', 'tx stays queued when broadcast fails')
+  t.ok(entry.hex, 'signed tx is stored')
+
+  btcPay.provider.broadcastTransaction = broadcast
+  entry.next_retry = 0
+  await btcPay._outbox.store.put(txid, entry)
+  const broadcasted = new Promise((resolve) => btcPay.once('tx-broadcast', resolve))
+  await btcPay._outbox.process()
+  t.ok(await broadcasted === txid, 'queued tx is broadcast again')
+  const sent = await sending
+  t.ok(sent.txid === txid, 'send resolves when tx is in mempool')
+
+  const confirmed = new Promise((resolve) => btcPay.once('tx-confirmed', resolve))
+  await regtest.mine(1)
+  t.ok(await confirmed === txid, 'confirmed event')
+  t.ok(!(await btcPay._outbox.get(txid)), 'confirmed tx removed from outbox')
+  await btcPay.destroy()
+})
+
+test.test('broadcast outbox: undo rejected tx, and keep tx confirmed before it is broadcast again', { timeout: 600000 }, async function (t) {
+  const { regtest, btcPay, nodeAddr } = await fundedWallet()
+  const broadcast = btcPay.provider.broadcastTransaction
+  const balance = (await btcPay.getBalance()).confirmed.toNumber()
+
+  t.comment('rebroadcast rejected by the node')
+  btcPay.provider.broadcastTransaction = () => Promise.reject(new Error('not connected'))
+  const queued = new Promise((resolve) => btcPay.once('tx-queued', resolve))
+  const failed = btcPay.sendTransaction({}, { address: nodeAddr, amount: 10000, unit: 'base', fee: 5 }).catch((err) => err)
+  const txid = await queued
+  await pause(1000)
+  t.ok((await btcPay.listUnspent()).length === 0, 'inputs of the queued tx are spent')
+
+  btcPay.provider.broadcastTransaction = () => Promise.reject(new Error('RPC Error: {"code":-26,"message":"min relay fee not met"}'))
+  const entry = await btcPay._outbox.get(txid)
+  entry.next_retry = 0
+  await btcPay._outbox.store.put(txid, entry)
+  const rejected = new Promise((resolve) => btcPay.once('tx-rejected', resolve))
+  await btcPay._outbox.process()
+  t.ok(await rejected === txid, 'rejected event')
+  t.ok((await failed).message.includes('min relay fee not met'), 'send fails with the rejection')
+  t.ok(!(await btcPay._outbox.get(txid)), 'rejected tx removed from outbox')
+  t.ok(!(await btcPay._syncManager.getSentTx(txid)), 'sent record removed')
+  t.ok((await btcPay.listUnspent()).length === 1, 'inputs can be spent again')
+  t.ok((await btcPay.getBalance()).confirmed.toNumber() === balance, 'balance is unchanged')
+
+  t.comment('tx confirmed before it is broadcast again')
+  btcPay.provider.broadcastTransaction = broadcast
+  const sent = await btcPay.sendTransaction({}, { address: nodeAddr, amount: 10000, unit: 'base', fee: 5 })
+  const pending = await btcPay._outbox.get(sent.txid)
+  let confirmed = new Promise((resolve) => btcPay.once('tx-confirmed', resolve))
+  await regtest.mine(1)
+  await confirmed
+
+  btcPay.provider.broadcastTransaction = () => Promise.reject(new Error('RPC Error: {"code":-25,"message":"bad-txns-inputs-missingorspent"}'))
+  await btcPay._outbox.store.put(sent.txid, pending)
+  let isRejected = false
+  const onReject = () => { isRejected = true }
+  btcPay.on('tx-rejected', onReject)
+  confirmed = new Promise((resolve) => btcPay.once('tx-confirmed', resolve))
+  await btcPay._outbox._broadcast(pending)
+  t.ok(await confirmed === sent.txid, 'spent inputs error of a confirmed tx emits confirmed')
+  t.ok(!isRejected, 'confirmed tx is not rejected')
+  t.ok(await btcPay._syncManager.getSentTx(sent.txid), 'sent record is kept')
+  t.ok(!(await btcPay._outbox.get(sent.txid)), 'confirmed tx removed from outbox')
+  btcPay.off('tx-rejected', onReject)
+  btcPay.provider.broadcastTransaction = broadcast
+  await btcPay.destroy()
+})
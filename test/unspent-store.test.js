@@ -0,0 +1,113 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+const test = require('brittle')
+const { WalletStoreHyperbee } = require('lib-wallet-store')
+const Btc = require('../src/currency.js')
+const UnspentStore = require('../src/unspent-store.js')
+const utxoSet = require('../bench/fixtures/utxo-set.js')
+
+async function newUnspent (store) {
+  const unspent = new UnspentStore({ store, getBlockHeight: () => 800000 })
+  await unspent.init()
+  return unspent
+}
+
+test('process removes spent outputs and the index is loaded on init', async function (t) {
+  const store = new WalletStoreHyperbee()
+  await store.init()
+  const { vout, vin } = utxoSet(2000)
+  let unspent = await newUnspent(store)
+  for (const utxo of vout) await unspent.add(utxo, 'out')
+  for (const utxo of vin) await unspent.add(utxo, 'in')
+  await unspent.process()
+
+  const spent = new Set(vin.map((v) => v.prev_txid + ':' + v.prev_index))
+  let list = await unspent.list()
+  t.ok(list.length === vout.length - vin.length, 'spent outputs removed')
+  t.ok(list.every(({ outpoint }) => !spent.has(outpoint)), 'no spent output listed')
+
+  unspent = await newUnspent(store)
+  list = await unspent.list()
+  t.ok(list.length === vout.length - vin.length, 'outputs loaded from store')
+  t.ok(list.every(({ value }) => value instanceof Btc), 'values are Bitcoin')
+
+  const { utxo } = await unspent.getUtxoForAmount(new Btc(1, 'main'), 'bnb', { feeRate: 2, owner: 'a' })
+  const [pt] = utxo.map((u) => u.txid + ':' + u.index)
+  t.ok(unspent.getHeld('a').includes(pt), 'selected output is locked')
+  await unspent.release('a', true)
+  t.ok(!(await unspent.list()).some(({ outpoint }) => outpoint === pt), 'released output is spent')
+  unspent = await newUnspent(store)
+  t.ok(!(await unspent.list()).some(({ outpoint }) => outpoint === pt), 'spent output removed from store')
+  await store.close()
+})
+
+test('list: confirmations and change status of the spend rules, locked and frozen outputs', async function (t) {
+  const store = new WalletStoreHyperbee()
+  await store.init()
+  const { vout } = utxoSet(4, { spent: 0 })
+  // @desc: block ahead of the known height, mempool output of a tx funded by the wallet, confirmed output
+  vout[0].height = 800001
+  vout[1].height = 0
+  const unspent = await newUnspent(store)
+  for (const utxo of vout) await unspent.add(utxo, 'out')
+  await unspent.add({ txid: vout[1].txid, prev_txid: 'aa'.repeat(32), prev_index: 0, prev_tx_height: 799000, address: vout[1].address, value: vout[1].value, height: 0 }, 'in')
+  const [ahead, own, conf, frozen] = vout.map((u) => u.txid + ':' + u.index)
+  await unspent.freeze(frozen)
+  await unspent.getUtxoForSweep([conf], { owner: 'a' })
+
+  const byPoint = (list) => new Map(list.map((u) => [u.outpoint, u]))
+  let list = byPoint(await unspent.list())
+  t.ok(list.size === 2 && list.has(ahead) && list.has(own), 'locked and frozen outputs left out')
+  t.ok(list.get(ahead).confirmations === 1, 'output in a block has at least 1 confirmation')
+  t.ok(list.get(own).confirmations === 0 && list.get(own).change, 'output of a tx funded by the wallet is change')
+  t.ok(!list.get(ahead).change, 'received output is not change')
+
+  const graph = await unspent._txGraph()
+  for (const u of vout) {
+    const info = unspent._spendInfo(u, graph, 800000)
+    const listed = (await unspent.list({ includeLocked: true, includeFrozen: true })).find((l) => l.txid === u.txid)
+    t.ok(info.confirmations === listed.confirmations && info.change === listed.change, 'same confirmations and change as the spend rules')
+  }
+
+  list = byPoint(await unspent.list({ includeLocked: true }))
+  t.ok(list.get(conf)?.locked && !list.has(frozen), 'includeLocked lists locked outputs only')
+  list = byPoint(await unspent.list({ includeFrozen: true }))
+  t.ok(list.get(frozen)?.frozen && !list.has(conf), 'includeFrozen lists frozen outputs only')
+  await store.close()
+})
+
+test('add: heights of a stored input are refreshed when its parent tx is confirmed', async function (t) {
+  const store = new WalletStoreHyperbee()
+  await store.init()
+  const { vout } = utxoSet(1, { spent: 0 })
+  const [parent] = vout
+  parent.height = 0
+  let unspent = await newUnspent(store)
+  await unspent.add(parent, 'out')
+  const vin = { txid: 'bb'.repeat(32), prev_txid: parent.txid, prev_index: parent.index, prev_tx_height: 0, address: parent.address, value: parent.value, height: 0 }
+  await unspent.add(vin, 'in')
+  t.ok((await unspent._txGraph()).parents.size === 1, 'unconfirmed parent is in the chain')
+
+  await unspent.add({ ...vin, prev_tx_height: 800001 }, 'in')
+  t.ok((await unspent._txGraph()).parents.size === 0, 'confirmed parent is left out of the chain')
+  unspent = await newUnspent(store)
+  const point = parent.txid + ':' + parent.index
+  t.ok(unspent.vin.get(point).prev_tx_height === 800001, 'parent height is stored')
+
+  await unspent.add({ ...vin, prev_tx_height: 800001, height: 800002 }, 'in')
+  unspent = await newUnspent(store)
+  const stored = unspent.vin.get(point)
+  t.ok(stored.height === 800002 && stored.prev_tx_height === 800001, 'both heights are kept')
+  await store.close()
+})
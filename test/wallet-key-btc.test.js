@@ -66,6 +66,23 @@ test('script hash and path generation  for BIP84 p2wpkh', async (t) => {
   })
 })
 
+test('p2tr address generation from path, BIP86 test vectors', async (t) => {
+  const seed = await Bip39Seed.generate('abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about')
+  const k = new Key({
+    seed
+  })
+  await k.init()
+  const vectors = [
+    ["m/86'/0'/0'/0/0", 'bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr'],
+    ["m/86'/0'/0'/0/1", 'bc1p4qhjn9zdvkux4e44uhx8tc55attvtyu358kutcqkudyccelu0was9fqzwh'],
+    ["m/86'/0'/0'/1/0", 'bc1p3qkhfews2uk44qtvauqyr2ttdsw7svhkl9nkm9s9c3x4ax5h60wqwruhk7']
+  ]
+  vectors.forEach(([path, addr]) => {
+    t.ok(k.addrFromPath(path, 'p2tr').address === addr, 'p2tr address matches ' + path)
+  })
+  t.ok(typeof k.taprootSigner(vectors[0][0]).signSchnorr === 'function', 'taproot signer signs schnorr')
+})
+
 test('WalletKeyBitcoin - setSeed', (t) => {
   const walletKey = new Key()
 
@@ -19,6 +19,7 @@ const {
   BIP39Seed,
   newElectrum,
   activeWallet,
+  fundedWallet,
   regtestNode,
   promiseSteps,
   BitcoinCurrency,
@@ -634,3 +635,41 @@ test('bip84 test vectors', async function (t) {
   await btcPay.destroy()
   await bp.destroy()
 })
+
+test('isValidAddress: validate address type and network offline', async function (t) {
+  const btcPay = await activeWallet({ newWallet: false })
+  const addr = await btcPay.getNewAddress()
+  t.ok(await btcPay.isValidAddress({}, addr.address) === 'p2wpkh', 'wallet address is p2wpkh')
+  t.ok(await btcPay.isValidAddress({}, 'bcrt1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqc8gma6') === 'p2tr', 'taproot address')
+  t.ok(await btcPay.isValidAddress({}, 'bcrt1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qzf4jry') === 'p2wsh', 'p2wsh address')
+  t.ok(await btcPay.isValidAddress({}, 'mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn') === 'p2pkh', 'p2pkh address')
+  t.ok(await btcPay.isValidAddress({}, '2MzQwSSnBHWHqSAqtTVQ6v47XtaisrJa1Vc') === 'p2sh', 'p2sh address')
+  t.ok(await btcPay.isValidAddress({}, 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4') === false, 'mainnet address is not valid on regtest')
+  t.ok(await btcPay.isValidAddress({}, 'bcrt1qinvalid') === false, 'malformed address is not valid')
+  await btcPay.destroy()
+})
+
+test('listUnspent: coins with confirmations, lock and change status', async function (t) {
+  const { btcPay, addr, nodeAddr } = await fundedWallet({ confirm: 2 })
+
+  let coins = await btcPay.listUnspent()
+  t.ok(coins.length === 1, 'one coin')
+  const [coin] = coins
+  t.ok(coin.address === addr.address && coin.path === addr.path, 'address and path of coin')
+  t.ok(coin.script_type === 'p2wpkh', 'script type')
+  t.ok(coin.confirmations === 2, 'confirmations from block height')
+  t.ok(!coin.locked && !coin.frozen && !coin.change, 'coin is not locked, frozen or change')
+
+  await btcPay.sendTransaction({}, { address: nodeAddr, amount: 10000, unit: 'base', fee: 2 })
+  coins = await btcPay.listUnspent()
+  const change = coins.find((u) => u.change)
+  t.ok(change && change.confirmations === 0, 'unconfirmed change is listed')
+  t.ok((await btcPay.listUnspent({ minConf: 1 })).length === 0, 'minConf filters unconfirmed coins')
+
+  await btcPay.freezeUtxo(change.outpoint)
+  t.ok((await btcPay.listUnspent()).length === 0, 'frozen coin is left out')
+  t.ok((await btcPay.listUnspent({ includeLocked: true })).length === 0, 'includeLocked does not list frozen coin')
+  const all = await btcPay.listUnspent({ includeFrozen: true })
+  t.ok(all.length === 1 && all[0].frozen, 'includeFrozen lists frozen coin')
+  await btcPay.destroy()
+})